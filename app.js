@@ -0,0 +1,3148 @@
+import express from 'express';
+import cors from 'cors';
+import bodyParser from 'body-parser';
+import { Server } from 'socket.io';
+import http from 'http';
+import crypto from 'crypto';
+import {
+  readJsonFile, writeJsonFile, createLeagueStore, createSnapshotArchive, isVersionConflict, isNotFound,
+} from './storage.js';
+import { createDataProvider } from './providers.js';
+import { buildPlayerRegistry, buildScorecard } from './players.js';
+import { hasFeedQuery, queryFeed } from './queries.js';
+import {
+  CONTEST_ROUNDS, normalizeContestSettings, getPickCount, getUsedPlayerIds, getLockedEntry, scoreContestEvent, getContestStandings,
+} from './contests.js';
+import {
+  HEAD_TO_HEAD_PERIODS, PLAYOFF_SIZES, countPlayoffRounds, buildHeadToHead,
+} from './matchups.js';
+import {
+  apiError, errorCodeForStatus, validate, bodySchemas, socketSchemas,
+} from './validation.js';
+
+// Builds one server instance: the Express app, Socket.IO, league storage and the feed state behind them.
+// Nothing listens or touches the network until start(); tests pass a temporary dataPath,
+// a file dataProvider and githubSync: false. adminToken guards server-wide controls such as replay;
+// without one they stay off. eventTimeZone is the IANA zone field.json tee times are read in.
+export const createGolfServer = ({
+  dataPath = './data',
+  dataProvider: provider = null,
+  leagueStore: store = null,
+  scheduler = process.env.SCHEDULER_ENABLED !== 'false',
+  githubSync,
+  adminToken = process.env.ADMIN_TOKEN || null,
+  eventTimeZone = process.env.EVENT_TIMEZONE || 'America/New_York',
+} = {}) => {
+  const app = express();
+  const server = http.createServer(app);
+  const io = new Server(server, {
+    cors: { origin: '*' },
+  });
+
+  // Middleware
+  app.use(cors());
+  app.use(bodyParser.json());
+
+  // Paths
+  const DATA_PATH = dataPath;
+  const FILES = {
+    holeByHole: `${DATA_PATH}/holes.json`,
+    liveStats: `${DATA_PATH}/live_tournament_stats.json`,
+    fieldList: `${DATA_PATH}/field.json`,
+    rankings: `${DATA_PATH}/rankings.json`,
+    leagues: `${DATA_PATH}/leagues.json`,
+    preds: `${DATA_PATH}/preds.json`,
+    users: `${DATA_PATH}/users.json`,
+  };
+  const HISTORY_PATH = `${DATA_PATH}/history`;
+
+  let lastUpdateTime = null;
+  let lastFieldUpdate = null;
+
+  const leagueStore = store || createLeagueStore(FILES.leagues, FILES.users, { githubSync });
+  const snapshotArchive = createSnapshotArchive(HISTORY_PATH);
+  const dataProvider = provider || createDataProvider(DATA_PATH);
+
+  // Socket handlers and timers treat a storage failure like a missing league
+  const loadLeague = async (leagueId) => {
+    try {
+      return await leagueStore.getLeague(leagueId);
+    } catch (err) {
+      console.error(`Failed to load league ${leagueId}:`, err.message);
+      return null;
+    }
+  };
+
+  // Saves a league whose `change` was already applied; when another write got in first, the change is
+  // re-applied to a fresh copy and saved again. change returns false when the fresh copy doesn't need it.
+  const LEAGUE_SAVE_ATTEMPTS = 3;
+
+  const saveLeagueWithRetry = async (leagueId, league, change) => {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        await leagueStore.saveLeague(leagueId, league);
+        return league;
+      } catch (err) {
+        if (!isVersionConflict(err) || attempt >= LEAGUE_SAVE_ATTEMPTS) throw err;
+      }
+      league = await leagueStore.getLeague(leagueId);
+      if (!league) throw new Error(`League ${leagueId} no longer exists`);
+      if (change(league) === false) return league;
+    }
+  };
+
+  const saveContestWithRetry = async (contestId, contest, change) => {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        await leagueStore.saveContest(contestId, contest);
+        return contest;
+      } catch (err) {
+        if (!isVersionConflict(err) || attempt >= LEAGUE_SAVE_ATTEMPTS) throw err;
+      }
+      contest = await leagueStore.getContest(contestId);
+      if (!contest) throw new Error(`Contest ${contestId} no longer exists`);
+      if (change(contest) === false) return contest;
+    }
+  };
+
+  // Every REST error is { error: { code, message, details } }; code defaults from the status
+  const sendError = (res, status, message, { code, details } = {}) => res
+    .status(status)
+    .json({ error: apiError(code || errorCodeForStatus(status), message, details) });
+
+  // Checks req.body against a schema from validation.js before the handler runs
+  const validateBody = (schema) => (req, res, next) => {
+    const details = validate(schema, req.body);
+    if (details.length > 0) return sendError(res, 400, 'The request body is invalid.', { code: 'VALIDATION_ERROR', details });
+    next();
+  };
+
+  // REST handlers answer a lost optimistic-version race with 409, and a save after a delete with 404
+  const sendSaveError = (res, err, message, kind = 'league') => {
+    if (isNotFound(err)) return sendError(res, 404, `The ${kind} no longer exists.`);
+    if (isVersionConflict(err)) {
+      return sendError(res, 409, `The ${kind} was changed by another request. Reload it and try again.`, {
+        code: 'VERSION_CONFLICT',
+        details: { version: err.version },
+      });
+    }
+    return sendError(res, 500, message);
+  };
+
+  const getEasternTime = () => {
+    const now = new Date();
+    const estOffset = -5;
+    return new Date(now.getTime() + estOffset * 60 * 60 * 1000).toISOString();
+  };
+
+  // Fetch players from the server's /field and /rankings endpoints
+  const getPlayersFromServer = async () => {
+    try {
+      let fieldData = readFeed('field');
+      let rankingsData = readFeed('rankings');
+
+      // If data is missing or empty, trigger an update
+      if (!fieldData.field || fieldData.field.length === 0 || !rankingsData.rankings || rankingsData.rankings.length === 0) {
+        console.log('Field or rankings data is missing, updating...');
+        await updateFieldList();
+        await updateRankings();
+        fieldData = readFeed('field');
+        rankingsData = readFeed('rankings');
+      }
+
+      const registry = getPlayerRegistry();
+      const players = fieldData.field.map(p => {
+        const ranking = registry.get(p.dg_id)?.ranking;
+        return {
+          id: p.dg_id,
+          name: p.player_name,
+          owgr_rank: ranking?.owgrRank || 1000,
+          dg_rank: ranking?.dgRank || 1000,
+        };
+      });
+      console.log('Players from server:', players.map(p => ({ id: p.id, name: p.name })));
+      return players;
+    } catch (err) {
+      console.error('Error fetching players from server:', err.message);
+      return [
+        { id: 18417, name: 'Scheffler, Scottie', owgr_rank: 1, dg_rank: 1 },
+        { id: 67890, name: 'McIlroy, Rory', owgr_rank: 2, dg_rank: 2 },
+        { id: 54321, name: 'Rahm, Jon', owgr_rank: 3, dg_rank: 3 },
+        { id: 98765, name: 'Thomas, Justin', owgr_rank: 4, dg_rank: 4 },
+        { id: 45678, name: 'Spieth, Jordan', owgr_rank: 5, dg_rank: 5 },
+      ];
+    }
+  };
+
+  // Tournament data feeds, cached in memory until the next refresh
+  const DATA_FEEDS = {
+    holes: { file: FILES.holeByHole, rows: 'players', empty: { players: [] } },
+    'live-stats': { file: FILES.liveStats, rows: 'live_stats', empty: { live_stats: [] } },
+    preds: { file: FILES.preds, rows: 'data', empty: [] },
+    field: { file: FILES.fieldList, rows: 'field', empty: { field: [] } },
+    rankings: { file: FILES.rankings, rows: 'rankings', empty: { rankings: [] } },
+  };
+  const REPLAYED_FEEDS = ['holes', 'live-stats', 'preds'];
+
+  const feedCache = new Map(); // feed -> { data, body, etag }
+
+  // Tournament snapshots and replay
+  let replay = null; // { eventId, eventName, at } while the server is pointed at a past snapshot
+
+  const archiveSnapshot = (feed, data) => {
+    const fieldData = readFeed('field');
+    const eventName = data.event_name ?? data.info?.event_name;
+    // Feeds can run ahead of field.json at the start of a new event; skip rather than file under the wrong event_id
+    if (fieldData.event_id == null || (eventName && eventName !== fieldData.event_name)) return;
+    try {
+      const entry = snapshotArchive.record(feed, data, {
+        eventId: fieldData.event_id,
+        eventName: fieldData.event_name,
+        round: data.current_round ?? data.info?.current_round ?? fieldData.current_round,
+      });
+      if (entry) console.log(`Archived ${feed} snapshot for event ${fieldData.event_id} round ${entry.round}`);
+    } catch (err) {
+      console.error(`Error archiving ${feed} snapshot:`, err.message);
+    }
+  };
+
+  // Feeds are read through here so replay mode covers every route and standings
+  const loadFeed = (feed) => {
+    if (!feedCache.has(feed)) {
+      const { file, empty } = DATA_FEEDS[feed];
+      const data = replay && REPLAYED_FEEDS.includes(feed)
+        ? snapshotArchive.readAt(replay.eventId, feed, replay.at)?.data ?? empty
+        : readJsonFile(file, empty);
+      const body = JSON.stringify(data);
+      const etag = `"${crypto.createHash('sha1').update(body).digest('base64url')}"`;
+      feedCache.set(feed, { data, body, etag });
+    }
+    return feedCache.get(feed);
+  };
+
+  const readFeed = (feed) => loadFeed(feed).data;
+
+  // Player registry, rebuilt after a feed refresh or a replay change
+  let playerRegistry = null;
+
+  const getPlayerRegistry = () => {
+    if (!playerRegistry) {
+      playerRegistry = buildPlayerRegistry({
+        fieldData: readFeed('field'),
+        rankingsData: readFeed('rankings'),
+        statsData: readFeed('live-stats'),
+        holesData: readFeed('holes'),
+      });
+    }
+    return playerRegistry;
+  };
+
+  // Data update functions
+  const feedStatus = {}; // feed -> last success/failure, read by the scheduler and GET /status
+
+  const recordFeedResult = (feed, err = null) => {
+    const status = feedStatus[feed] || (feedStatus[feed] = { lastSuccessAt: null, lastFailureAt: null, lastError: null, consecutiveFailures: 0 });
+    if (err) {
+      status.lastFailureAt = new Date().toISOString();
+      status.lastError = err.message;
+      status.consecutiveFailures++;
+    } else {
+      status.lastSuccessAt = new Date().toISOString();
+      status.consecutiveFailures = 0;
+      feedCache.delete(feed);
+      playerRegistry = null;
+    }
+    return !err;
+  };
+
+  const updateHoleByHole = async () => {
+    try {
+      const data = await dataProvider.getHoleByHole();
+      writeJsonFile(FILES.holeByHole, data);
+      archiveSnapshot('holes', data);
+      console.log(`[${getEasternTime()}] Updated holes.json`);
+      return recordFeedResult('holes');
+    } catch (err) {
+      console.error('Error updating hole data:', err.message);
+      return recordFeedResult('holes', err);
+    }
+  };
+
+  const updateLiveStats = async () => {
+    try {
+      const data = await dataProvider.getLiveStats();
+      writeJsonFile(FILES.liveStats, data);
+      archiveSnapshot('live-stats', data);
+      console.log(`[${getEasternTime()}] Updated live_tournament_stats.json`);
+      return recordFeedResult('live-stats');
+    } catch (err) {
+      console.error('Error updating live stats:', err.message);
+      return recordFeedResult('live-stats', err);
+    }
+  };
+
+  const updatePreds = async () => {
+    try {
+      const data = await dataProvider.getPreds();
+      writeJsonFile(FILES.preds, data);
+      archiveSnapshot('preds', data);
+      console.log(`[${getEasternTime()}] Updated preds.json`);
+      return recordFeedResult('preds');
+    } catch (err) {
+      console.error('Error updating preds:', err.message);
+      return recordFeedResult('preds', err);
+    }
+  };
+
+  const updateFieldList = async () => {
+    try {
+      const data = await dataProvider.getFieldList();
+      writeJsonFile(FILES.fieldList, data);
+      console.log(`[${getEasternTime()}] Updated field.json`);
+      return recordFeedResult('field');
+    } catch (err) {
+      console.error('Error updating field list:', err.message);
+      return recordFeedResult('field', err);
+    }
+  };
+
+  const updateRankings = async () => {
+    try {
+      const data = await dataProvider.getRankings();
+      writeJsonFile(FILES.rankings, data);
+      console.log(`[${getEasternTime()}] Updated rankings.json`);
+      return recordFeedResult('rankings');
+    } catch (err) {
+      console.error('Error updating rankings:', err.message);
+      return recordFeedResult('rankings', err);
+    }
+  };
+
+  // Fantasy scoring
+  const DEFAULT_SCORING = {
+    format: 'strokes', // 'strokes' = total vs. par (lower wins), 'points' = hole points table (higher wins)
+    countBest: 4, // Number of players per team that count, null counts the whole roster
+    holePoints: {
+      albatross: 8,
+      eagle: 5,
+      birdie: 3,
+      par: 0.5,
+      bogey: -1,
+      doubleBogey: -3,
+      worse: -3,
+    },
+    missedCutPenalty: 0, // Strokes added (strokes format) or points subtracted (points format)
+  };
+  const MISSED_CUT_POSITIONS = ['CUT', 'MC', 'WD', 'DQ'];
+
+  const normalizeScoring = (scoring = {}) => ({
+    ...DEFAULT_SCORING,
+    ...scoring,
+    holePoints: { ...DEFAULT_SCORING.holePoints, ...(scoring.holePoints || {}) },
+  });
+
+  const getHolePoints = (toPar, holePoints) => {
+    if (toPar <= -3) return holePoints.albatross;
+    if (toPar === -2) return holePoints.eagle;
+    if (toPar === -1) return holePoints.birdie;
+    if (toPar === 0) return holePoints.par;
+    if (toPar === 1) return holePoints.bogey;
+    if (toPar === 2) return holePoints.doubleBogey;
+    return holePoints.worse;
+  };
+
+  const scorePlayer = (player, holesPlayer, statsPlayer, scoring) => {
+    const rounds = (holesPlayer?.rounds || []).map(round => {
+      const played = round.scores.filter(s => s.score !== null && s.score !== undefined);
+      const toPar = played.reduce((sum, s) => sum + (s.score - s.par), 0);
+      const points = played.reduce((sum, s) => sum + getHolePoints(s.score - s.par, scoring.holePoints), 0);
+      return { round: round.round_num, toPar, points, holesPlayed: played.length };
+    });
+
+    const position = statsPlayer?.position || null;
+    const missedCut = MISSED_CUT_POSITIONS.includes(position);
+    const toPar = rounds.reduce((sum, r) => sum + r.toPar, 0);
+    let points = scoring.format === 'points'
+      ? rounds.reduce((sum, r) => sum + r.points, 0)
+      : toPar;
+    if (missedCut) {
+      points += scoring.format === 'points' ? -scoring.missedCutPenalty : scoring.missedCutPenalty;
+    }
+
+    return {
+      id: player.id,
+      name: player.name,
+      points,
+      toPar,
+      position,
+      thru: statsPlayer?.thru ?? null,
+      missedCut,
+      counted: false,
+      rounds,
+    };
+  };
+
+  // Lower is better for strokes, higher is better for points
+  const compareFantasyPoints = (format) => (a, b) => (format === 'points' ? b.points - a.points : a.points - b.points);
+
+  const assignRanks = (items, format) => {
+    const sorted = [...items].sort(compareFantasyPoints(format));
+    sorted.forEach((item, i) => {
+      item.rank = i > 0 && sorted[i - 1].points === item.points ? sorted[i - 1].rank : i + 1;
+    });
+    return sorted;
+  };
+
+  const computeStandings = (leagueId, league) => {
+    const scoring = normalizeScoring(league.scoring);
+    const holesData = readFeed('holes');
+    const statsData = readFeed('live-stats');
+    const holesById = new Map((holesData.players || []).map(p => [String(p.dg_id), p]));
+    const statsById = new Map((statsData.live_stats || []).map(p => [String(p.dg_id), p]));
+
+    const teams = (league.teams || []).map((roster, teamIndex) => {
+      const players = roster
+        .map(p => scorePlayer(p, holesById.get(String(p.id)), statsById.get(String(p.id)), scoring))
+        .sort(compareFantasyPoints(scoring.format));
+      const counting = scoring.countBest ? players.slice(0, scoring.countBest) : players;
+      counting.forEach(p => { p.counted = true; });
+      return {
+        teamIndex,
+        teamName: league.teamNames?.[teamIndex] || `Team ${teamIndex + 1}`,
+        points: counting.reduce((sum, p) => sum + p.points, 0),
+        players,
+      };
+    });
+
+    const ranked = assignRanks(teams, scoring.format);
+    addProjections(ranked, holesData, scoring);
+    const headToHead = league.headToHead ? computeHeadToHead(league, teams, holesData, statsData, scoring) : null;
+    if (headToHead) {
+      headToHead.records.forEach(({ teamIndex, wins, losses, ties }) => { teams[teamIndex].record = { wins, losses, ties }; });
+    }
+    return {
+      leagueId,
+      eventName: holesData.event_name || null,
+      currentRound: holesData.current_round || null,
+      lastUpdate: holesData.last_update || null,
+      replay,
+      scoring,
+      teams: ranked,
+      ...(headToHead && { headToHead: summarizeHeadToHead(headToHead) }),
+    };
+  };
+
+  // Projections: simulate the rest of the event per rostered player from preds.json cut odds and DG skill
+  const PROJECTION_SIMULATIONS = 2000;
+  const EVENT_HOLES = 72;
+  const CUT_HOLES = 36;
+  const UNKNOWN_MAKE_CUT = 0.5; // No preds for the player and the cut hasn't happened
+  const UNRANKED_SKILL = -1.2; // Strokes gained per round for players outside the top 500
+  // Typical tour hole results relative to par, before the per-player skill nudge
+  const BASE_HOLE_OUTCOMES = [[-2, 0.01], [-1, 0.18], [0, 0.62], [1, 0.16], [2, 0.03]];
+
+  const roundTo = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+
+  // preds.json percentages come as 0-1 or 0-100 depending on odds_format
+  const toProbability = (value) => (typeof value === 'number' ? (value > 1 ? value / 100 : value) : null);
+
+  const getPredsById = (holesData) => {
+    const predsData = readFeed('preds');
+    const eventName = predsData.info?.event_name;
+    if (eventName && holesData.event_name && eventName !== holesData.event_name) return new Map();
+    const rows = Array.isArray(predsData) ? predsData : predsData.data || [];
+    return new Map(rows.map(p => [String(p.dg_id), p]));
+  };
+
+  // Per-hole mean and variance of fantasy points; skill moves birdies and bogeys by half a stroke each way per 18 holes
+  const getHoleOutlook = (skill, scoring) => {
+    const shift = Math.max(-0.1, Math.min(0.1, skill / 18 / 2));
+    const outcomes = BASE_HOLE_OUTCOMES.map(([toPar, chance]) => [toPar, chance + (toPar === -1 ? shift : toPar === 1 ? -shift : 0)]);
+    const value = (toPar) => (scoring.format === 'points' ? getHolePoints(toPar, scoring.holePoints) : toPar);
+    const mean = outcomes.reduce((sum, [toPar, chance]) => sum + chance * value(toPar), 0);
+    const variance = outcomes.reduce((sum, [toPar, chance]) => sum + chance * (value(toPar) - mean) ** 2, 0);
+    return { mean, variance };
+  };
+
+  const projectPlayer = (player, pred, skill, scoring) => {
+    const holesPlayed = player.rounds.reduce((sum, r) => sum + r.holesPlayed, 0);
+    const cutMade = player.rounds.some(r => r.round >= 3 && r.holesPlayed > 0);
+    const makeCut = player.missedCut ? 0 : cutMade ? 1 : toProbability(pred?.make_cut) ?? UNKNOWN_MAKE_CUT;
+    const hole = getHoleOutlook(skill, scoring);
+    const ifMade = Math.max(0, EVENT_HOLES - holesPlayed);
+    // A player already marked CUT has the penalty in their points
+    const ifMissed = player.missedCut ? 0 : Math.max(0, CUT_HOLES - holesPlayed);
+    const penalty = player.missedCut ? 0 : (scoring.format === 'points' ? -scoring.missedCutPenalty : scoring.missedCutPenalty);
+    return {
+      current: player.points,
+      makeCut,
+      hole,
+      ifMade,
+      ifMissed,
+      penalty,
+      expectedPoints: player.points + makeCut * ifMade * hole.mean + (1 - makeCut) * (ifMissed * hole.mean + penalty),
+    };
+  };
+
+  const sampleNormal = () => Math.sqrt(-2 * Math.log(1 - Math.random())) * Math.cos(2 * Math.PI * Math.random());
+
+  const samplePlayer = (outlook) => {
+    const made = Math.random() < outlook.makeCut;
+    const holes = made ? outlook.ifMade : outlook.ifMissed;
+    return outlook.current + holes * outlook.hole.mean + Math.sqrt(holes * outlook.hole.variance) * sampleNormal() + (made ? 0 : outlook.penalty);
+  };
+
+  // Adds player.projection and team.projection, win probability counting only each team's best countBest players
+  const addProjections = (teams, holesData, scoring) => {
+    const predsById = getPredsById(holesData);
+    const registry = getPlayerRegistry();
+    const outlooks = teams.map(team => team.players.map(player => {
+      const pred = predsById.get(String(player.id));
+      const skill = registry.get(player.id)?.ranking?.skillEstimate ?? UNRANKED_SKILL;
+      const outlook = projectPlayer(player, pred, skill, scoring);
+      player.projection = {
+        expectedPoints: roundTo(outlook.expectedPoints),
+        makeCut: roundTo(outlook.makeCut, 3),
+        win: toProbability(pred?.win),
+        top5: toProbability(pred?.top_5),
+        top10: toProbability(pred?.top_10),
+        top20: toProbability(pred?.top_20),
+      };
+      return outlook;
+    }));
+
+    const better = compareFantasyPoints(scoring.format);
+    const totals = teams.map(() => 0);
+    const wins = teams.map(() => 0);
+    for (let sim = 0; sim < PROJECTION_SIMULATIONS; sim++) {
+      const points = outlooks.map(team => {
+        const sampled = team.map(samplePlayer).map(p => ({ points: p })).sort(better);
+        const counting = scoring.countBest ? sampled.slice(0, scoring.countBest) : sampled;
+        return counting.reduce((sum, p) => sum + p.points, 0);
+      });
+      const best = [...points].map(p => ({ points: p })).sort(better)[0]?.points;
+      const leaders = points.filter(p => p === best).length;
+      points.forEach((p, i) => {
+        totals[i] += p;
+        if (p === best) wins[i] += 1 / leaders;
+      });
+    }
+
+    teams.forEach((team, i) => {
+      team.projection = {
+        expectedPoints: roundTo(totals[i] / PROJECTION_SIMULATIONS),
+        winProbability: roundTo(wins[i] / PROJECTION_SIMULATIONS, 3),
+        expectedTop10s: roundTo(team.players.reduce((sum, p) => sum + (p.projection.top10 ?? 0), 0)),
+      };
+    });
+  };
+
+  // Live standings push
+  const leagueRoom = (leagueId) => `league-${leagueId}`;
+  const previousStandings = {}; // leagueId -> last standings broadcast
+
+  const diffStandings = (previous, current) => {
+    const prevTeams = new Map((previous?.teams || []).map(t => [t.teamIndex, t]));
+    const players = [];
+    const teams = [];
+
+    current.teams.forEach(team => {
+      const prevTeam = prevTeams.get(team.teamIndex);
+      if (!prevTeam || prevTeam.rank !== team.rank || prevTeam.points !== team.points) {
+        teams.push({
+          teamIndex: team.teamIndex,
+          previousRank: prevTeam?.rank ?? null,
+          rank: team.rank,
+          previousPoints: prevTeam?.points ?? null,
+          points: team.points,
+        });
+      }
+
+      const prevPlayers = new Map((prevTeam?.players || []).map(p => [String(p.id), p]));
+      team.players.forEach(player => {
+        const prevPlayer = prevPlayers.get(String(player.id));
+        if (!prevPlayer || prevPlayer.points !== player.points || prevPlayer.thru !== player.thru) {
+          players.push({
+            teamIndex: team.teamIndex,
+            id: player.id,
+            name: player.name,
+            previousPoints: prevPlayer?.points ?? null,
+            points: player.points,
+            thru: player.thru,
+          });
+        }
+      });
+    });
+
+    return { teams, players };
+  };
+
+  const getLobbyPresence = (leagueId, teamOwners = {}) => ({
+    leagueId,
+    members: [...(io.sockets.adapter.rooms.get(leagueRoom(leagueId)) || [])],
+    teamOwners,
+  });
+
+  // Draft formats
+  const DRAFT_TYPES = ['snake', 'linear', 'third-round-reversal', 'auction'];
+  const DEFAULT_DRAFT_SETTINGS = {
+    type: 'snake',
+    rosterSize: 6,
+    rounds: null, // Defaults to rosterSize; fewer rounds leave spots for free agency
+    order: 'default', // 'default' (team order), 'random' (shuffled at start-draft) or an array of team indexes
+    budget: 200, // Auction only
+    minBid: 1, // Auction only
+    bidTime: 15, // Auction only: seconds the bidding stays open after each bid
+  };
+
+  const getDraftSettings = (league) => ({ ...DEFAULT_DRAFT_SETTINGS, ...(league.draftSettings || {}) });
+  const getRosterSize = (league) => getDraftSettings(league).rosterSize;
+
+  const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+
+  // Returns { settings } merged over defaults, or { error }
+  const validateDraftSettings = (input, teamCount) => {
+    if (typeof input !== 'object' || input === null || Array.isArray(input)) return { error: 'draftSettings must be an object.' };
+    const settings = { ...DEFAULT_DRAFT_SETTINGS, ...input };
+
+    if (!DRAFT_TYPES.includes(settings.type)) return { error: `draftSettings.type must be one of ${DRAFT_TYPES.join(', ')}.` };
+    if (!isPositiveInteger(settings.rosterSize) || settings.rosterSize > 20) return { error: 'draftSettings.rosterSize must be between 1 and 20.' };
+    if (settings.rounds !== null && (!isPositiveInteger(settings.rounds) || settings.rounds > settings.rosterSize)) {
+      return { error: 'draftSettings.rounds must be between 1 and rosterSize.' };
+    }
+    if (Array.isArray(settings.order)) {
+      const sorted = [...settings.order].sort((a, b) => a - b);
+      if (sorted.length !== teamCount || sorted.some((teamIndex, i) => teamIndex !== i)) {
+        return { error: 'draftSettings.order must list every team index exactly once.' };
+      }
+    } else if (!['default', 'random'].includes(settings.order)) {
+      return { error: "draftSettings.order must be 'default', 'random' or an array of team indexes." };
+    }
+    if (settings.type === 'auction') {
+      if (!isPositiveInteger(settings.minBid)) return { error: 'draftSettings.minBid must be a positive integer.' };
+      if (!Number.isInteger(settings.budget) || settings.budget < settings.minBid * settings.rosterSize) {
+        return { error: 'draftSettings.budget must cover the minimum bid for every roster spot.' };
+      }
+      if (!Number.isInteger(settings.bidTime) || settings.bidTime < 5) return { error: 'draftSettings.bidTime must be at least 5 seconds.' };
+    }
+    return { settings };
+  };
+
+  // Validates the settings fields of a POST/PUT body; returns { updates } or { error }
+  const validateLeagueSettings = (body, league) => {
+    const updates = {};
+    const teamNames = body.teamNames ?? league?.teamNames;
+    if (!Array.isArray(teamNames) || teamNames.length < 2 || teamNames.some(name => typeof name !== 'string' || !name.trim())) {
+      return { error: 'teamNames must list at least two team names.' };
+    }
+    // Rosters are indexed by team, so the team count is fixed once any team has players
+    if (league && teamNames.length !== league.teamNames.length && (league.isDrafting || league.teams.some(t => t.length > 0))) {
+      return { error: 'The number of teams cannot change once rosters have players.' };
+    }
+    if (!league && body.teams !== undefined && body.teams.length !== teamNames.length) {
+      return { error: 'teams must have one roster per team name.' };
+    }
+    if (body.pickTimeLimit !== undefined) {
+      if (!Number.isInteger(body.pickTimeLimit) || body.pickTimeLimit < 0) return { error: 'pickTimeLimit must be a whole number of seconds.' };
+      updates.pickTimeLimit = body.pickTimeLimit;
+    }
+    if (body.draftSettings !== undefined || body.teamNames !== undefined) {
+      if (league?.isDrafting && !league.draftComplete) return { error: 'Draft settings cannot change while the draft is running.' };
+      const result = validateDraftSettings({ ...(league?.draftSettings || {}), ...(body.draftSettings || {}) }, teamNames.length);
+      if (result.error) return result;
+      updates.draftSettings = result.settings;
+    }
+    if (body.mode !== undefined || body.salaryCap !== undefined) {
+      const mode = body.mode ?? league?.mode ?? 'draft';
+      if (!LEAGUE_MODES.includes(mode)) return { error: `mode must be one of ${LEAGUE_MODES.join(', ')}.` };
+      if (league && mode !== (league.mode || 'draft') && (league.isDrafting || league.teams.some(t => t.length > 0))) {
+        return { error: 'mode cannot change once rosters have players.' };
+      }
+      updates.mode = mode;
+      if (mode === 'salary-cap') {
+        const result = validateSalaryCapSettings({ ...(league?.salaryCap || {}), ...(body.salaryCap || {}) });
+        if (result.error) return result;
+        updates.salaryCap = result.settings;
+      }
+    }
+    if (body.season !== undefined) {
+      if (body.season === null) {
+        updates.season = null;
+      } else {
+        const result = validateSeasonSettings(body.season, league?.season);
+        if (result.error) return result;
+        updates.season = result.settings;
+      }
+    }
+    // Re-checked when the team count or schedule changes, since both decide how many periods there are
+    const headToHead = body.headToHead !== undefined ? body.headToHead : league?.headToHead;
+    if (body.headToHead !== undefined || (headToHead && (body.teamNames !== undefined || body.season !== undefined))) {
+      if (headToHead === null) {
+        updates.headToHead = null;
+      } else {
+        const season = updates.season !== undefined ? updates.season : league?.season;
+        const result = validateHeadToHeadSettings({ ...(league?.headToHead || {}), ...headToHead }, teamNames.length, season);
+        if (result.error) return result;
+        updates.headToHead = result.settings;
+      }
+    }
+    return { updates };
+  };
+
+  // Salary-cap leagues: each team picks a lineup from field.json's DFS salaries instead of drafting
+  const LEAGUE_MODES = ['draft', 'salary-cap'];
+  const SALARY_FIELDS = { dk: 'dk_salary', fd: 'fd_salary' };
+  const DEFAULT_SALARY_CAP = { site: 'dk', cap: 50000 };
+
+  const getSalaryCap = (league) => ({ ...DEFAULT_SALARY_CAP, ...(league.salaryCap || {}) });
+
+  const validateSalaryCapSettings = (input) => {
+    const settings = { ...DEFAULT_SALARY_CAP, ...input };
+    if (!SALARY_FIELDS[settings.site]) return { error: `salaryCap.site must be one of ${Object.keys(SALARY_FIELDS).join(', ')}.` };
+    if (!isPositiveInteger(settings.cap)) return { error: 'salaryCap.cap must be a positive integer.' };
+    return { settings };
+  };
+
+  // Minutes timeZone is ahead of UTC at `date`, daylight saving included
+  const teeTimeFormat = new Intl.DateTimeFormat('en-US', {
+    timeZone: eventTimeZone, hourCycle: 'h23', year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric',
+  });
+  const getZoneOffset = (date) => {
+    const parts = Object.fromEntries(teeTimeFormat.formatToParts(date).map(({ type, value }) => [type, Number(value)]));
+    return (Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute) - Math.floor(date.getTime() / 60000) * 60000) / 60000;
+  };
+
+  // field.json tee times are local wall-clock times ('2025-01-22 09:23'); one that carries its own offset keeps it,
+  // the rest are read in eventTimeZone. The offset is looked up twice in case the first guess crossed a DST change.
+  const parseTeeTime = (teeTime) => {
+    if (!teeTime) return null;
+    const iso = teeTime.trim().replace(' ', 'T');
+    if (/(Z|[+-]\d\d:?\d\d)$/.test(iso)) return new Date(iso);
+    const wallClock = new Date(`${iso}Z`).getTime();
+    if (!Number.isFinite(wallClock)) return null;
+    const guess = wallClock - getZoneOffset(new Date(wallClock)) * 60000;
+    return new Date(wallClock - getZoneOffset(new Date(guess)) * 60000);
+  };
+
+  const getSalaryPool = (league) => {
+    const salaryField = SALARY_FIELDS[getSalaryCap(league).site];
+    const fieldData = readFeed('field');
+    const now = new Date();
+    return (fieldData.field || [])
+      .filter(p => p[salaryField] > 0)
+      .map(p => {
+        const teeTime = parseTeeTime(p.r1_teetime);
+        return {
+          id: p.dg_id,
+          name: p.player_name,
+          salary: p[salaryField],
+          teeTime: p.r1_teetime,
+          locked: Boolean(teeTime) && teeTime <= now,
+        };
+      });
+  };
+
+  // Replace a team's lineup; players who have teed off can't be added or removed. Returns { lineup } or { error }
+  const setLineup = (league, teamIndex, playerIds) => {
+    const current = league.teams[teamIndex];
+    if (!current) return { error: 'Team not found.' };
+    if (!Array.isArray(playerIds)) return { error: 'playerIds must be an array of dg_ids.' };
+
+    const rosterSize = getRosterSize(league);
+    const { cap } = getSalaryCap(league);
+    const poolById = new Map(getSalaryPool(league).map(p => [String(p.id), p]));
+    const ids = playerIds.map(String);
+    if (new Set(ids).size !== ids.length) return { error: 'A lineup cannot include the same player twice.' };
+    if (ids.length !== rosterSize) return { error: `Lineups need exactly ${rosterSize} players.` };
+
+    const unknown = ids.find(id => !poolById.has(id));
+    if (unknown) return { error: `Player ${unknown} has no salary for this event.` };
+
+    const currentIds = new Set(current.map(p => String(p.id)));
+    const changed = [...ids.filter(id => !currentIds.has(id)), ...[...currentIds].filter(id => !ids.includes(id))];
+    const locked = changed.map(id => poolById.get(id)).find(p => p?.locked);
+    if (locked) return { error: `${locked.name} has teed off and is locked.` };
+
+    const lineup = ids.map(id => {
+      const { locked: _, ...player } = poolById.get(id);
+      return player;
+    });
+    const total = lineup.reduce((sum, p) => sum + p.salary, 0);
+    if (total > cap) return { error: `Lineup salary ${total} is over the ${cap} cap.` };
+
+    league.teams[teamIndex] = lineup;
+    return { lineup };
+  };
+
+  const isReversedRound = (type, round) => {
+    if (type === 'snake') return round % 2 === 0;
+    if (type === 'third-round-reversal') return round === 2 || (round >= 3 && round % 2 === 1);
+    return false;
+  };
+
+  const buildDraftOrder = (league) => {
+    const { order } = getDraftSettings(league);
+    if (Array.isArray(order)) return [...order];
+    const teamIndexes = league.teamNames.map((_, i) => i);
+    if (order === 'random') {
+      for (let i = teamIndexes.length - 1; i > 0; i--) {
+        const j = crypto.randomInt(i + 1);
+        [teamIndexes[i], teamIndexes[j]] = [teamIndexes[j], teamIndexes[i]];
+      }
+    }
+    return teamIndexes;
+  };
+
+  // Which team makes a 1-based overall pick, and which way the round runs
+  const getPickSlot = (league, overallPick) => {
+    const order = league.draftOrder || league.teamNames.map((_, i) => i);
+    const round = Math.ceil(overallPick / order.length);
+    const reversed = isReversedRound(getDraftSettings(league).type, round);
+    const position = (overallPick - 1) % order.length;
+    return {
+      round,
+      teamIndex: order[reversed ? order.length - 1 - position : position],
+      direction: reversed ? -1 : 1,
+    };
+  };
+
+  const countPicks = (league) => league.teams.reduce((count, roster) => count + roster.length, 0);
+
+  // Draft helpers
+  const DEFAULT_PICK_TIME_LIMIT = 90; // Seconds per pick for new leagues, 0 disables the clock
+  const pickTimers = {}; // leagueId -> interval ticking the pick clock
+
+  // Draft state is versioned: every change bumps league.draftSeq before it is saved and goes out as a
+  // 'draft-delta' with that seq. Clients apply deltas in order, drop any at or below the seq of their
+  // last snapshot, and send 'resync' for a fresh 'draft-snapshot' when they see a gap.
+  const bumpDraftSeq = (league) => {
+    league.draftSeq = (league.draftSeq || 0) + 1;
+    return league.draftSeq;
+  };
+
+  const getDraftSnapshot = (leagueId, league) => ({
+    leagueId,
+    seq: league.draftSeq || 0,
+    teams: league.teams,
+    teamNames: league.teamNames,
+    availablePlayers: league.availablePlayers || [],
+    currentTeamIndex: league.currentTeamIndex || 0,
+    snakeDirection: league.snakeDirection || 1,
+    isDrafting: league.isDrafting || false,
+    draftComplete: league.draftComplete || false,
+    pickDeadline: league.pickDeadline || null,
+    draftSettings: getDraftSettings(league),
+    draftOrder: league.draftOrder || null,
+    auction: league.auction || null,
+  });
+
+  // type is 'pick', 'undo', 'transaction' (trade or add/drop) or 'auction' (nomination or bid), entry is the pick log entry
+  const emitDraftDelta = (leagueId, league, type, entry = null) => {
+    io.to(leagueRoom(leagueId)).emit('draft-delta', {
+      leagueId,
+      seq: league.draftSeq,
+      type,
+      entry,
+      clock: {
+        currentTeamIndex: league.currentTeamIndex,
+        snakeDirection: league.snakeDirection,
+        isDrafting: league.isDrafting,
+        draftComplete: league.draftComplete,
+        pickDeadline: league.pickDeadline || null,
+      },
+      auction: league.auction || null,
+    });
+  };
+
+  const removeFromPool = (league, player) => {
+    league.availablePlayers = league.availablePlayers.filter(p => String(p.id) !== String(player.id));
+    for (const queueTeamIndex in league.queues || {}) {
+      league.queues[queueTeamIndex] = league.queues[queueTeamIndex].filter(id => String(id) !== String(player.id));
+    }
+  };
+
+  // Why a manual pick can't go through, as an API error, or null when it can
+  const getPickRejection = (league, teamIndex, playerId) => {
+    if (!league.isDrafting) return apiError('DRAFT_NOT_STARTED', 'The draft has not started yet.');
+    if (league.draftComplete) return apiError('DRAFT_COMPLETE', 'The draft is already complete.');
+    if (league.auction) return apiError('AUCTION_DRAFT', 'This is an auction draft; nominate and bid instead.');
+    if (teamIndex !== league.currentTeamIndex) return apiError('NOT_YOUR_TURN', 'It is not your turn to pick.');
+    if (league.teams[teamIndex].length >= getRosterSize(league)) return apiError('ROSTER_FULL', 'Your roster is already full.');
+    if (!league.availablePlayers.some(p => String(p.id) === String(playerId))) {
+      const taken = league.teams.some(roster => findPlayerIndex(roster, playerId) !== -1);
+      return taken
+        ? apiError('PLAYER_TAKEN', 'That player has already been drafted.')
+        : apiError('PLAYER_UNAVAILABLE', 'That player is not in the draft pool.');
+    }
+    return null;
+  };
+
+  // Add the player to the team, advance the draft order and log the pick; returns the log entry
+  const applyPick = (league, teamIndex, player, { auto = false } = {}) => {
+    const overallPick = countPicks(league) + 1;
+    const entry = {
+      type: 'pick',
+      round: getPickSlot(league, overallPick).round,
+      overallPick,
+      teamIndex,
+      player,
+      auto,
+      // Draft position before the pick, so undo can rewind to it
+      clock: { currentTeamIndex: league.currentTeamIndex, snakeDirection: league.snakeDirection },
+      at: new Date().toISOString(),
+    };
+    league.pickLog = [...(league.pickLog || []), entry];
+
+    league.teams[teamIndex].push(player);
+    removeFromPool(league, player);
+
+    const settings = getDraftSettings(league);
+    const totalPicks = (settings.rounds || settings.rosterSize) * league.teamNames.length;
+    league.draftComplete = overallPick >= totalPicks || league.teams.every(t => t.length >= settings.rosterSize);
+    if (!league.draftComplete) {
+      const next = getPickSlot(league, overallPick + 1);
+      league.currentTeamIndex = next.teamIndex;
+      league.snakeDirection = next.direction;
+    }
+    return entry;
+  };
+
+  // Auction drafts: teams take turns nominating a player, then everyone bids until the bid clock runs out.
+  // currentTeamIndex is the nominating team; league.auction holds budgets and the open nomination.
+  const startAuction = (league) => {
+    const { budget } = getDraftSettings(league);
+    league.auction = { budgets: league.teamNames.map(() => budget), nomination: null };
+  };
+
+  // Highest bid that still leaves the minimum bid for every other open roster spot
+  const getMaxBid = (league, teamIndex) => {
+    const { rosterSize, minBid } = getDraftSettings(league);
+    const openSpots = rosterSize - (league.teams[teamIndex]?.length ?? rosterSize);
+    if (openSpots <= 0) return 0;
+    return league.auction.budgets[teamIndex] - minBid * (openSpots - 1);
+  };
+
+  // Returns {} on success or { error }
+  const nominatePlayer = (league, teamIndex, playerId, openingBid) => {
+    const { minBid } = getDraftSettings(league);
+    const bid = openingBid ?? minBid;
+    if (league.auction.nomination) return { error: 'A player is already up for bidding.' };
+    if (Number(teamIndex) !== league.currentTeamIndex) return { error: 'It is not your turn to nominate.' };
+    const player = (league.availablePlayers || []).find(p => String(p.id) === String(playerId));
+    if (!player) return { error: 'That player is not available.' };
+    if (!Number.isInteger(bid) || bid < minBid || bid > getMaxBid(league, teamIndex)) {
+      return { error: `Opening bid must be between ${minBid} and ${getMaxBid(league, teamIndex)}.` };
+    }
+    league.auction.nomination = {
+      player,
+      nominatedBy: Number(teamIndex),
+      highBid: bid,
+      highBidder: Number(teamIndex),
+    };
+    return {};
+  };
+
+  const placeBid = (league, teamIndex, amount) => {
+    const { nomination } = league.auction;
+    if (!nomination) return { error: 'No player is up for bidding.' };
+    if (!Number.isInteger(amount) || amount <= nomination.highBid) return { error: `Bids must be more than ${nomination.highBid}.` };
+    if (amount > getMaxBid(league, teamIndex)) return { error: `Your maximum bid is ${getMaxBid(league, teamIndex)}.` };
+    nomination.highBid = amount;
+    nomination.highBidder = Number(teamIndex);
+    return {};
+  };
+
+  // Give the nominated player to the high bidder and pass the nomination on; returns the log entry
+  const awardNomination = (league) => {
+    const { player, highBid, highBidder } = league.auction.nomination;
+    const overallPick = countPicks(league) + 1;
+    const entry = {
+      type: 'pick',
+      round: Math.ceil(overallPick / league.teamNames.length),
+      overallPick,
+      teamIndex: highBidder,
+      player,
+      price: highBid,
+      auto: false,
+      clock: { currentTeamIndex: league.currentTeamIndex, snakeDirection: league.snakeDirection },
+      at: new Date().toISOString(),
+    };
+    league.pickLog = [...(league.pickLog || []), entry];
+
+    league.teams[highBidder].push({ ...player, price: highBid });
+    league.auction.budgets[highBidder] -= highBid;
+    league.auction.nomination = null;
+    removeFromPool(league, player);
+
+    const order = league.draftOrder || league.teamNames.map((_, i) => i);
+    const start = order.indexOf(league.currentTeamIndex);
+    const nextNominator = order
+      .map((_, i) => order[(start + 1 + i) % order.length])
+      .find(teamIndex => getMaxBid(league, teamIndex) > 0);
+    league.draftComplete = nextNominator === undefined || league.availablePlayers.length === 0;
+    if (!league.draftComplete) league.currentTeamIndex = nextNominator;
+    return entry;
+  };
+
+  const getQueuedPick = (league, teamIndex) => {
+    const available = league.availablePlayers || [];
+    const queue = league.queues?.[teamIndex] || [];
+    for (const dgId of queue) {
+      const queued = available.find(p => String(p.id) === String(dgId));
+      if (queued) return queued;
+    }
+    return null;
+  };
+
+  // Owner's queue first, then best available by DataGolf rank
+  const chooseAutoPick = (league, teamIndex) => getQueuedPick(league, teamIndex)
+    || [...(league.availablePlayers || [])].sort((a, b) => (a.dg_rank || 1000) - (b.dg_rank || 1000))[0];
+
+  const clearPickTimer = (leagueId) => {
+    if (pickTimers[leagueId]) {
+      clearInterval(pickTimers[leagueId]);
+      delete pickTimers[leagueId];
+    }
+  };
+
+  const schedulePickTimer = (leagueId, league) => {
+    clearPickTimer(leagueId);
+    if (!league.pickDeadline) return;
+
+    const deadline = league.pickDeadline;
+    const tick = () => {
+      const remaining = Math.max(0, Math.ceil((new Date(deadline) - new Date()) / 1000));
+      io.to(leagueRoom(leagueId)).emit('pick-timer', {
+        leagueId,
+        teamIndex: league.currentTeamIndex,
+        remaining,
+        deadline,
+      });
+      if (remaining === 0) {
+        clearPickTimer(leagueId);
+        autoPick(leagueId, deadline);
+      }
+    };
+    pickTimers[leagueId] = setInterval(tick, 1000);
+    tick();
+  };
+
+  // Set a fresh deadline for the current pick; callers persist the league, then call schedulePickTimer
+  const resetPickDeadline = (league) => {
+    // Auction bidding always runs on the bid clock
+    if (league.isDrafting && !league.draftComplete && league.auction?.nomination) {
+      league.pickDeadline = new Date(Date.now() + getDraftSettings(league).bidTime * 1000).toISOString();
+      return;
+    }
+    const teamIndex = league.currentTeamIndex;
+    const ownerAbsent = !league.teamOwners?.[teamIndex];
+    if (!league.isDrafting || league.draftComplete || (!league.pickTimeLimit && !(ownerAbsent && getQueuedPick(league, teamIndex)))) {
+      league.pickDeadline = null;
+      return;
+    }
+    // A disconnected owner with a queue is drafted for right away
+    const delay = ownerAbsent && getQueuedPick(league, teamIndex) ? 0 : league.pickTimeLimit * 1000;
+    league.pickDeadline = new Date(Date.now() + delay).toISOString();
+  };
+
+  const autoPick = async (leagueId, deadline) => {
+    const league = await loadLeague(leagueId);
+    // Skip if the pick was made (or the draft changed) after this clock started
+    if (!league || !league.isDrafting || league.draftComplete || league.pickDeadline !== deadline) return;
+    if (league.auction) {
+      await resolveAuctionClock(leagueId, league);
+      return;
+    }
+
+    const teamIndex = league.currentTeamIndex;
+    const player = chooseAutoPick(league, teamIndex);
+    if (!player) {
+      console.error(`Auto-pick found no available players for league ${leagueId}`);
+      return;
+    }
+
+    console.log(`Auto-pick: leagueId=${leagueId}, teamIndex=${teamIndex}, player=${player.name}`);
+    const entry = applyPick(league, teamIndex, player, { auto: true });
+    resetPickDeadline(league);
+    bumpDraftSeq(league);
+
+    try {
+      await leagueStore.appendLog(leagueId, league, entry);
+    } catch (err) {
+      console.error('Failed to write updated league data in auto-pick:', err.message);
+      return;
+    }
+    schedulePickTimer(leagueId, league);
+
+    emitDraftDelta(leagueId, league, 'pick', entry);
+    emitQueues(leagueId, league);
+  };
+
+  // An expired auction clock closes the bidding, or nominates for a team that let its turn lapse
+  const resolveAuctionClock = async (leagueId, league) => {
+    let entry = null;
+    if (league.auction.nomination) {
+      entry = awardNomination(league);
+    } else {
+      const teamIndex = league.currentTeamIndex;
+      const player = chooseAutoPick(league, teamIndex);
+      if (!player) {
+        console.error(`Auto-nominate found no available players for league ${leagueId}`);
+        return;
+      }
+      console.log(`Auto-nominate: leagueId=${leagueId}, teamIndex=${teamIndex}, player=${player.name}`);
+      nominatePlayer(league, teamIndex, player.id);
+    }
+    resetPickDeadline(league);
+    bumpDraftSeq(league);
+
+    try {
+      if (entry) {
+        await leagueStore.appendLog(leagueId, league, entry);
+      } else {
+        await leagueStore.saveLeague(leagueId, league);
+      }
+    } catch (err) {
+      console.error('Failed to write updated league data in auction clock:', err.message);
+      return;
+    }
+    schedulePickTimer(leagueId, league);
+
+    if (entry) {
+      console.log(`Auction won: leagueId=${leagueId}, teamIndex=${entry.teamIndex}, player=${entry.player.name}, price=${entry.price}`);
+      emitDraftDelta(leagueId, league, 'pick', entry);
+      emitQueues(leagueId, league);
+    } else {
+      emitDraftDelta(leagueId, league, 'auction');
+    }
+  };
+
+  // Pick clocks are stored as deadlines on the league, so they pick up where they left off after a restart
+  const resumePickTimers = async () => {
+    const leagues = await leagueStore.getLeagues();
+    for (const leagueId in leagues) {
+      const league = leagues[leagueId];
+      if (league.isDrafting && !league.draftComplete && league.pickDeadline) {
+        console.log(`Resuming pick timer for league ${leagueId}`);
+        schedulePickTimer(leagueId, league);
+      }
+    }
+  };
+
+  // Team ownership: a league invite code lets a user claim a team, which issues an owner token.
+  // teamOwners only tracks which socket currently holds each team; the token is what proves ownership.
+  const generateInviteCode = () => crypto.randomBytes(4).toString('hex').toUpperCase();
+  const generateOwnerToken = () => crypto.randomBytes(24).toString('hex');
+
+  const findTeamByToken = (league, ownerToken) => {
+    if (!ownerToken) return null;
+    const entry = Object.entries(league.ownerTokens || {}).find(([, token]) => token === ownerToken);
+    return entry ? Number(entry[0]) : null;
+  };
+
+  // auth is { socketId, ownerToken }; a socket that already presented the token counts as the owner
+  const isTeamOwner = (league, teamIndex, { socketId, ownerToken } = {}) => {
+    const token = league.ownerTokens?.[teamIndex];
+    if (token && ownerToken) return token === ownerToken;
+    return Boolean(socketId) && league.teamOwners?.[teamIndex] === socketId;
+  };
+
+  const isCommissioner = (league, commissionerToken) => Boolean(commissionerToken) && league.commissionerToken === commissionerToken;
+
+  // User accounts: a username with a password, or just a magic token handed out at sign-up.
+  // Clients send the token as "Authorization: Bearer <token>" (socket.io: auth.token); only its hash is stored.
+  const USERNAME_PATTERN = /^[a-z0-9_.-]{3,32}$/;
+  const MIN_PASSWORD_LENGTH = 8;
+
+  const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+  const hashPassword = (password, salt) => crypto.scryptSync(password, salt, 64).toString('hex');
+
+  const issueUserToken = async (username) => {
+    const token = crypto.randomBytes(24).toString('base64url');
+    await leagueStore.addUserToken(username, hashToken(token));
+    return token;
+  };
+
+  const getUserFromToken = async (token) => {
+    if (!token) return null;
+    const user = await leagueStore.findUserByToken(hashToken(token));
+    return user ? { username: user.username } : null;
+  };
+
+  const getBearerToken = (req) => /^Bearer (.+)$/i.exec(req.get('authorization') || '')?.[1] || null;
+
+  // Leagues created before accounts have no commissioner or members; their tokens still work
+  const isMember = (league, user) => Boolean(user)
+    && (league.commissioner === user.username || (league.members || []).includes(user.username));
+
+  const isLeagueCommissioner = (league, { user, commissionerToken } = {}) => (Boolean(user) && league.commissioner === user.username)
+    || isCommissioner(league, commissionerToken);
+
+  const canAccessLeague = (league, { user, ownerToken, commissionerToken } = {}) => isMember(league, user)
+    || findTeamByToken(league, ownerToken) !== null
+    || isCommissioner(league, commissionerToken);
+
+  const addMember = (league, username) => {
+    if (!username || isMember(league, { username })) return false;
+    league.members = [...(league.members || []), username];
+    return true;
+  };
+
+  // Draft queues, visible only to the team's owner
+  const toPublicLeague = ({
+    queues, ownerTokens, inviteCode, commissionerToken, ...league
+  }) => league;
+
+  const emitQueues = (leagueId, league) => {
+    for (const teamIndex in league.queues || {}) {
+      const ownerId = league.teamOwners?.[teamIndex];
+      if (ownerId) {
+        io.to(ownerId).emit('queue-update', { leagueId, teamIndex: Number(teamIndex), queue: league.queues[teamIndex] });
+      }
+    }
+  };
+
+  // Apply a change to a team's queue on behalf of its owner; returns { queue } or { status, error }
+  const updateQueue = async (leagueId, teamIndex, auth, change) => {
+    const league = await loadLeague(leagueId);
+    if (!league) return { status: 404, error: 'League not found' };
+    if (!isTeamOwner(league, teamIndex, auth)) {
+      return { status: 403, error: 'Only the team owner can access this queue.' };
+    }
+    if (!change) return { queue: league.queues?.[teamIndex] || [] };
+
+    // Returns an error message, or null once the queue is set on the league
+    const applyChange = (current) => {
+      const next = change(current.queues?.[teamIndex] || []);
+      if (!Array.isArray(next)) return next?.error || 'Invalid queue.';
+      const taken = new Set((current.teams || []).flat().map(p => String(p.id)));
+      const seen = new Set();
+      const queue = next.filter(id => {
+        const key = String(id);
+        if (taken.has(key) || seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      });
+      current.queues = { ...(current.queues || {}), [teamIndex]: queue };
+      return null;
+    };
+
+    const error = applyChange(league);
+    if (error) return { status: 400, error };
+    try {
+      const saved = await saveLeagueWithRetry(leagueId, league, current => !applyChange(current));
+      return { queue: saved.queues?.[teamIndex] || [] };
+    } catch (err) {
+      console.error('Failed to write queue data:', err.message);
+      return { status: isVersionConflict(err) ? 409 : 500, error: 'Failed to save queue.' };
+    }
+  };
+
+  const setQueue = (queue) => () => (Array.isArray(queue) ? queue : { error: 'Queue must be an array of dg_ids.' });
+
+  const reorderQueue = (fromIndex, toIndex) => (current) => {
+    if (![fromIndex, toIndex].every(i => Number.isInteger(i) && i >= 0 && i < current.length)) {
+      return { error: 'Queue positions out of range.' };
+    }
+    const queue = [...current];
+    const [moved] = queue.splice(fromIndex, 1);
+    queue.splice(toIndex, 0, moved);
+    return queue;
+  };
+
+  const clearQueue = () => () => [];
+
+  // Pick log, undo and post-draft roster moves
+  const findPlayerIndex = (players, playerId) => players.findIndex(p => String(p.id) === String(playerId));
+
+  // The most recent pick that hasn't already been undone
+  const getLastPick = (league) => {
+    const picks = [];
+    (league.pickLog || []).forEach(entry => {
+      if (entry.type === 'pick') picks.push(entry);
+      if (entry.type === 'undo') picks.pop();
+    });
+    return picks[picks.length - 1] || null;
+  };
+
+  // Each roster move returns { entry } (already applied to the league) or { error }
+  const undoLastPick = (league) => {
+    if (!league.isDrafting) return { error: 'The draft has not started.' };
+    const pick = getLastPick(league);
+    if (!pick) return { error: 'There are no picks to undo.' };
+
+    const roster = league.teams[pick.teamIndex] || [];
+    const rosterIndex = findPlayerIndex(roster, pick.player.id);
+    if (rosterIndex === -1) return { error: `${pick.player.name} is no longer on that team.` };
+
+    roster.splice(rosterIndex, 1);
+    league.availablePlayers = [...(league.availablePlayers || []), pick.player];
+    if (pick.price !== undefined && league.auction) {
+      league.auction.budgets[pick.teamIndex] += pick.price;
+      league.auction.nomination = null;
+    }
+    league.currentTeamIndex = pick.clock.currentTeamIndex;
+    league.snakeDirection = pick.clock.snakeDirection;
+    league.draftComplete = false;
+
+    const entry = {
+      type: 'undo',
+      round: pick.round,
+      overallPick: pick.overallPick,
+      teamIndex: pick.teamIndex,
+      player: pick.player,
+      at: new Date().toISOString(),
+    };
+    league.pickLog = [...league.pickLog, entry];
+    return { entry };
+  };
+
+  const tradePlayers = (league, { teamA, teamB, playersA = [], playersB = [] }) => {
+    if (!league.draftComplete) return { error: 'Trades open once the draft is complete.' };
+    const rosterA = league.teams[teamA];
+    const rosterB = league.teams[teamB];
+    if (!rosterA || !rosterB || teamA === teamB) return { error: 'Trades need two different teams.' };
+    if (playersA.length === 0 && playersB.length === 0) return { error: 'A trade needs at least one player.' };
+    const rosterSize = getRosterSize(league);
+    if (rosterA.length - playersA.length + playersB.length > rosterSize
+      || rosterB.length - playersB.length + playersA.length > rosterSize) {
+      return { error: `Rosters are limited to ${rosterSize} players.` };
+    }
+    const hasRepeats = (ids) => new Set(ids.map(String)).size !== ids.length;
+    if (hasRepeats(playersA) || hasRepeats(playersB)) return { error: 'A player can only be named once in a trade.' };
+    const sentA = playersA.map(id => rosterA[findPlayerIndex(rosterA, id)]);
+    const sentB = playersB.map(id => rosterB[findPlayerIndex(rosterB, id)]);
+    if (sentA.includes(undefined) || sentB.includes(undefined)) {
+      return { error: 'Every traded player must be on the team sending them.' };
+    }
+
+    league.teams[teamA] = [...rosterA.filter(p => !sentA.includes(p)), ...sentB];
+    league.teams[teamB] = [...rosterB.filter(p => !sentB.includes(p)), ...sentA];
+
+    const entry = {
+      type: 'trade',
+      teams: [teamA, teamB],
+      players: [sentA, sentB],
+      at: new Date().toISOString(),
+    };
+    league.pickLog = [...(league.pickLog || []), entry];
+    return { entry };
+  };
+
+  const addDropPlayer = (league, { teamIndex, addPlayerId, dropPlayerId }) => {
+    if (!league.draftComplete) return { error: 'Free agency opens once the draft is complete.' };
+    const roster = league.teams[teamIndex];
+    if (!roster) return { error: 'Team not found.' };
+    if (addPlayerId === undefined && dropPlayerId === undefined) return { error: 'Nothing to add or drop.' };
+
+    const addIndex = addPlayerId === undefined ? -1 : findPlayerIndex(league.availablePlayers || [], addPlayerId);
+    const dropIndex = dropPlayerId === undefined ? -1 : findPlayerIndex(roster, dropPlayerId);
+    if (addPlayerId !== undefined && addIndex === -1) return { error: 'That player is not a free agent.' };
+    if (dropPlayerId !== undefined && dropIndex === -1) return { error: 'That player is not on this team.' };
+    if (addIndex !== -1 && dropIndex === -1 && roster.length >= getRosterSize(league)) {
+      return { error: `Rosters are limited to ${getRosterSize(league)} players, drop someone first.` };
+    }
+
+    const dropped = dropIndex === -1 ? null : roster.splice(dropIndex, 1)[0];
+    const added = addIndex === -1 ? null : league.availablePlayers.splice(addIndex, 1)[0];
+    if (added) roster.push(added);
+    if (dropped) league.availablePlayers.push(dropped);
+
+    const entry = {
+      type: 'add-drop',
+      teamIndex,
+      added,
+      dropped,
+      at: new Date().toISOString(),
+    };
+    league.pickLog = [...(league.pickLog || []), entry];
+    return { entry };
+  };
+
+  const broadcastStandings = async () => {
+    const leagues = await leagueStore.getLeagues();
+    for (const leagueId in leagues) {
+      const league = leagues[leagueId];
+      if (!league.teams || !league.teams.some(t => t.length > 0)) continue;
+
+      try {
+        const standings = computeStandings(leagueId, league);
+        const changes = diffStandings(previousStandings[leagueId], standings);
+        previousStandings[leagueId] = standings;
+        io.to(leagueRoom(leagueId)).emit('standings-update', { ...standings, changes });
+      } catch (err) {
+        console.error(`Failed to compute standings for league ${leagueId}:`, err.message);
+      }
+    }
+  };
+
+  // Season leagues: one league plays a schedule of events, archiving each event's results when field.json moves on
+  const SEASON_ROSTER_POLICIES = ['keep', 'redraft'];
+
+  const validateSeasonSettings = (input, current) => {
+    if (typeof input !== 'object' || input === null || Array.isArray(input)) return { error: 'season must be an object.' };
+    const { schedule = current?.schedule || [], rosterPolicy = current?.rosterPolicy || 'keep' } = input;
+    if (!Array.isArray(schedule) || schedule.some(eventId => !isPositiveInteger(eventId))) {
+      return { error: 'season.schedule must be an array of event_ids.' };
+    }
+    if (!SEASON_ROSTER_POLICIES.includes(rosterPolicy)) {
+      return { error: `season.rosterPolicy must be one of ${SEASON_ROSTER_POLICIES.join(', ')}.` };
+    }
+    return {
+      settings: {
+        schedule,
+        rosterPolicy,
+        currentEvent: current?.currentEvent || null,
+        events: current?.events || [],
+      },
+    };
+  };
+
+  // An empty schedule counts every event
+  const isScheduledEvent = (season, eventId) => season.schedule.length === 0 || season.schedule.includes(eventId);
+
+  const summarizeStandings = (standings) => standings.teams.map(team => ({
+    teamIndex: team.teamIndex,
+    teamName: team.teamName,
+    points: team.points,
+    rank: team.rank,
+    players: team.players.map(({ id, name, points, counted }) => ({ id, name, points, counted })),
+  }));
+
+  const resetDraft = (league) => {
+    league.teams = league.teamNames.map(() => []);
+    league.availablePlayers = [];
+    league.isDrafting = false;
+    league.draftComplete = false;
+    league.currentTeamIndex = 0;
+    league.snakeDirection = 1;
+    league.pickDeadline = null;
+    league.draftOrder = null;
+    league.auction = null;
+    league.queues = {};
+    bumpDraftSeq(league);
+  };
+
+  // Archive the finished event if field.json has moved on, then record live results for the current one.
+  // Returns true when the league changed.
+  const advanceSeason = (leagueId, league, fieldData, holesData) => {
+    const { season } = league;
+    const eventId = fieldData.event_id;
+    if (!eventId) return false;
+    let changed = false;
+
+    if (season.currentEvent && season.currentEvent.eventId !== eventId) {
+      if (season.currentEvent.results) {
+        season.events.push({ ...season.currentEvent, archivedAt: new Date().toISOString() });
+      }
+      season.currentEvent = null;
+      clearPickTimer(leagueId);
+      if (season.rosterPolicy === 'redraft') resetDraft(league);
+      changed = true;
+    }
+    if (!season.currentEvent) {
+      season.currentEvent = { eventId, eventName: fieldData.event_name, results: null };
+      changed = true;
+    }
+
+    // holes.json can briefly belong to a different event than field.json while feeds refresh
+    if (isScheduledEvent(season, eventId) && holesData.event_name === fieldData.event_name) {
+      season.currentEvent.results = summarizeStandings(computeStandings(leagueId, league));
+      changed = true;
+    }
+    return changed;
+  };
+
+  const updateSeasons = async () => {
+    // Standings come from the replayed snapshot, which must not leak into season results
+    if (replay) return;
+    const fieldData = readFeed('field');
+    const holesData = readJsonFile(FILES.holeByHole, { players: [] });
+    const leagues = await leagueStore.getLeagues();
+    for (const leagueId in leagues) {
+      const league = leagues[leagueId];
+      if (!league.season) continue;
+
+      const archivedCount = league.season.events.length;
+      const { draftSeq } = league;
+      if (!advanceSeason(leagueId, league, fieldData, holesData)) continue;
+      try {
+        await leagueStore.saveLeague(leagueId, league);
+      } catch (err) {
+        console.error(`Failed to save season for league ${leagueId}:`, err.message);
+        continue;
+      }
+      if (league.season.events.length > archivedCount) {
+        console.log(`Archived ${league.season.events[archivedCount].eventName} for season league ${leagueId}`);
+        io.to(leagueRoom(leagueId)).emit('season-update', getSeasonStandings(leagueId, league));
+      }
+      // A redraft season just emptied the rosters; deltas can't express that, so send the whole board
+      if (league.draftSeq !== draftSeq) {
+        io.to(leagueRoom(leagueId)).emit('draft-snapshot', getDraftSnapshot(leagueId, league));
+      }
+    }
+  };
+
+  const getSeasonStandings = (leagueId, league) => {
+    const { season } = league;
+    const format = normalizeScoring(league.scoring).format;
+    const events = [...season.events, ...(season.currentEvent?.results ? [season.currentEvent] : [])];
+    const teams = league.teamNames.map((teamName, teamIndex) => {
+      const byEvent = events.map(event => ({
+        eventId: event.eventId,
+        eventName: event.eventName,
+        points: event.results.find(t => t.teamIndex === teamIndex)?.points ?? 0,
+      }));
+      return {
+        teamIndex,
+        teamName,
+        points: byEvent.reduce((sum, e) => sum + e.points, 0),
+        events: byEvent,
+      };
+    });
+
+    return {
+      leagueId,
+      schedule: season.schedule,
+      rosterPolicy: season.rosterPolicy,
+      currentEvent: season.currentEvent,
+      events: season.events,
+      standings: assignRanks(teams, format),
+    };
+  };
+
+  // Head-to-head leagues: teams meet one opponent per period (a round, or an event in season leagues)
+  // and the best records go to a bracket playoff over the last periods
+  const EVENT_ROUNDS = 4;
+  const ROUND_HOLES = 18;
+
+  const countHeadToHeadPeriods = (period, season) => (period === 'round' ? EVENT_ROUNDS : season?.schedule?.length || 0);
+
+  const validateHeadToHeadSettings = (input, teamCount, season) => {
+    if (typeof input !== 'object' || input === null || Array.isArray(input)) return { error: 'headToHead must be an object.' };
+    const { period = 'round', playoffTeams = 0 } = input;
+    if (!HEAD_TO_HEAD_PERIODS.includes(period)) {
+      return { error: `headToHead.period must be one of ${HEAD_TO_HEAD_PERIODS.join(', ')}.` };
+    }
+    if (period === 'event' && !season?.schedule?.length) {
+      return { error: 'headToHead.period "event" needs a season with a schedule of events.' };
+    }
+    if (!PLAYOFF_SIZES.includes(playoffTeams)) return { error: `headToHead.playoffTeams must be one of ${PLAYOFF_SIZES.join(', ')}.` };
+    if (playoffTeams > teamCount) return { error: 'headToHead.playoffTeams cannot be more than the number of teams.' };
+    const periods = countHeadToHeadPeriods(period, season);
+    if (periods - countPlayoffRounds(playoffTeams) < 1) {
+      return { error: `A ${playoffTeams}-team playoff leaves no regular-season ${period}s out of ${periods}.` };
+    }
+    return { settings: { period, playoffTeams } };
+  };
+
+  // A team's round is its best countBest players who played it; in strokes leagues each empty slot
+  // (a missed cut, or a round not started) costs the missed-cut penalty
+  // Highest strokes to par anyone in the field has in the round, over the holes played so far
+  const getWorstRoundScore = (holesData, round) => {
+    const scores = (holesData.players || [])
+      .map(p => p.rounds?.find(r => r.round_num === round)?.scores.filter(s => s.score !== null && s.score !== undefined) || [])
+      .filter(played => played.length > 0)
+      .map(played => played.reduce((sum, s) => sum + s.score - s.par, 0));
+    return scores.length > 0 ? Math.max(...scores) : 0;
+  };
+
+  // In strokes format a slot left open by a player who missed the cut scores the field's worst round
+  // plus missedCutPenalty, so a team with nobody left playing can't beat teams that are over par
+  const scoreTeamRound = (team, round, scoring, worstScore) => {
+    const value = (r) => (scoring.format === 'points' ? r.points : r.toPar);
+    const scores = team.players
+      .map(p => p.rounds.find(r => r.round === round))
+      .filter(r => r && r.holesPlayed > 0)
+      .map(value)
+      .sort((a, b) => (scoring.format === 'points' ? b - a : a - b));
+    const slots = scoring.countBest || team.players.length;
+    const counted = scores.slice(0, slots);
+    const total = counted.reduce((sum, s) => sum + s, 0);
+    if (scoring.format === 'points') return total;
+    const cutPlayers = team.players.filter(p => p.missedCut && !p.rounds.some(r => r.round === round && r.holesPlayed > 0)).length;
+    return total + Math.min(slots - counted.length, cutPlayers) * (worstScore + scoring.missedCutPenalty);
+  };
+
+  // The current round is final once everyone still in the event has all 18 holes in
+  const isRoundFinished = (round, holesData, statsData) => {
+    const statsById = new Map((statsData.live_stats || []).map(p => [String(p.dg_id), p]));
+    const active = (holesData.players || []).filter(p => !MISSED_CUT_POSITIONS.includes(statsById.get(String(p.dg_id))?.position));
+    return active.length > 0 && active.every(p => {
+      const scores = p.rounds?.find(r => r.round_num === round)?.scores || [];
+      return scores.filter(s => s.score !== null && s.score !== undefined).length >= ROUND_HOLES;
+    });
+  };
+
+  const isRoundComplete = (round, holesData, statsData) => round < (holesData.current_round || 0)
+    || (round === holesData.current_round && isRoundFinished(round, holesData, statsData));
+
+  const getRoundPeriods = (teams, holesData, statsData, scoring) => {
+    const currentRound = holesData.current_round || 0;
+    return Array.from({ length: EVENT_ROUNDS }, (_, i) => {
+      const round = i + 1;
+      const status = isRoundComplete(round, holesData, statsData) ? 'final' : round === currentRound ? 'live' : 'upcoming';
+      if (status === 'upcoming') return { label: `Round ${round}`, status, scores: null };
+      const worstScore = getWorstRoundScore(holesData, round);
+      return {
+        label: `Round ${round}`,
+        status,
+        scores: teams.map(team => scoreTeamRound(team, round, scoring, worstScore)),
+      };
+    });
+  };
+
+  // Season events score from the archived results, and the event in progress from its live results
+  const getEventPeriods = (league) => {
+    const { season } = league;
+    const scoresFrom = (results) => (results ? league.teamNames.map((_, teamIndex) => results.find(t => t.teamIndex === teamIndex)?.points ?? null) : null);
+    return season.schedule.map(eventId => {
+      const archived = season.events.find(e => e.eventId === eventId);
+      if (archived) return { label: archived.eventName || `Event ${eventId}`, status: 'final', scores: scoresFrom(archived.results) };
+      if (season.currentEvent?.eventId === eventId) {
+        return { label: season.currentEvent.eventName || `Event ${eventId}`, status: 'live', scores: scoresFrom(season.currentEvent.results) };
+      }
+      return { label: `Event ${eventId}`, status: 'upcoming', scores: null };
+    });
+  };
+
+  // teams are the standings teams in teamIndex order
+  const computeHeadToHead = (league, teams, holesData, statsData, scoring) => buildHeadToHead({
+    settings: league.headToHead,
+    teamNames: league.teamNames,
+    periods: league.headToHead.period === 'event'
+      ? getEventPeriods(league)
+      : getRoundPeriods(teams, holesData, statsData, scoring),
+    format: scoring.format,
+  });
+
+  // The live standings carry the records, this period's matchups and the champion; /matchups has the full schedule
+  const summarizeHeadToHead = (headToHead) => ({
+    period: headToHead.period,
+    currentPeriod: headToHead.periods.find(p => p.period === headToHead.currentPeriod) || null,
+    records: headToHead.records,
+    champion: headToHead.playoff.champion,
+  });
+
+  // Side-game contests: members pick golfers for the event in field.json, picks lock at the first tee time
+  // and the scheduler settles them from holes.json and live_tournament_stats.json
+  const getRoundLockTime = (fieldData, round) => {
+    const teeTimes = (fieldData.field || [])
+      .map(p => parseTeeTime(p[`r${round}_teetime`])?.getTime())
+      .filter(t => Number.isFinite(t));
+    return teeTimes.length > 0 ? new Date(Math.min(...teeTimes)) : null;
+  };
+
+  // A round without tee times yet still locks once holes.json shows it under way
+  const isRoundLocked = (round, fieldData, holesData, now = Date.now()) => {
+    const lockAt = getRoundLockTime(fieldData, round);
+    if (lockAt && now >= lockAt.getTime()) return true;
+    return holesData.event_name === fieldData.event_name && (holesData.players || []).some(p => (p.rounds || [])
+      .some(r => r.round_num >= round && r.scores.some(s => s.score !== null && s.score !== undefined)));
+  };
+
+  const getLockedRounds = (fieldData, holesData) => CONTEST_ROUNDS.filter(round => isRoundLocked(round, fieldData, holesData));
+
+  // Scores the current event's locked entries and closes it once round 4 is in; events field.json has
+  // moved on from keep their last results. Returns true when the contest changed.
+  const settleContest = (contest, fieldData, holesData, statsData) => {
+    let changed = false;
+    Object.values(contest.events).filter(event => !event.final).forEach(event => {
+      if (String(event.eventId) !== String(fieldData.event_id)) {
+        Object.assign(event, { final: true, settledAt: new Date().toISOString() });
+        changed = true;
+        return;
+      }
+      // holes.json can briefly belong to a different event than field.json while feeds refresh
+      if (holesData.event_name !== fieldData.event_name) return;
+      const lockedRounds = getLockedRounds(fieldData, holesData);
+      if (lockedRounds.length === 0) return;
+
+      const finishedRounds = CONTEST_ROUNDS.filter(round => isRoundComplete(round, holesData, statsData));
+      const results = scoreContestEvent(contest, event, {
+        statsData, holesData, lockedRounds, finishedRounds,
+      });
+      if (JSON.stringify(results) !== JSON.stringify(event.results)) {
+        event.results = results;
+        changed = true;
+      }
+      if (finishedRounds.includes(EVENT_ROUNDS)) {
+        Object.assign(event, { final: true, settledAt: new Date().toISOString() });
+        changed = true;
+      }
+    });
+    return changed;
+  };
+
+  const updateContests = async () => {
+    // Contests settle from live data only, never a replayed snapshot
+    if (replay) return;
+    const fieldData = readFeed('field');
+    const holesData = readFeed('holes');
+    const statsData = readFeed('live-stats');
+    const contests = await leagueStore.getContests();
+    for (const contestId in contests) {
+      const contest = contests[contestId];
+      if (!settleContest(contest, fieldData, holesData, statsData)) continue;
+      try {
+        await leagueStore.saveContest(contestId, contest);
+      } catch (err) {
+        console.error(`Failed to save contest ${contestId}:`, err.message);
+      }
+    }
+  };
+
+  // Results as of the latest feeds, whether or not the scheduler has saved them yet.
+  // Other members' picks stay hidden until they lock.
+  const toPublicContest = (contestId, { inviteCode, ...stored }, username) => {
+    const contest = structuredClone(stored);
+    const fieldData = readFeed('field');
+    const holesData = readFeed('holes');
+    if (!replay) settleContest(contest, fieldData, holesData, readFeed('live-stats'));
+    const lockedRounds = getLockedRounds(fieldData, holesData);
+    Object.values(contest.events).filter(event => !event.final).forEach(event => {
+      event.entries = Object.fromEntries(Object.entries(event.entries)
+        .map(([member, entry]) => [member, member === username ? entry : getLockedEntry(contest, entry, lockedRounds)])
+        .filter(([, entry]) => entry));
+    });
+    return {
+      contestId,
+      ...contest,
+      currentEvent: fieldData.event_id ? {
+        eventId: fieldData.event_id,
+        eventName: fieldData.event_name,
+        lockedRounds,
+        locksAt: getRoundLockTime(fieldData, 1)?.toISOString() ?? null,
+      } : null,
+      standings: getContestStandings(contest),
+    };
+  };
+
+  // Background refresh: live feeds follow the tee sheet in field.json, field and rankings run on a slow cadence
+  const MINUTE = 60 * 1000;
+  const REFRESH_INTERVALS = {
+    live: 2 * MINUTE, // a round is being played
+    event: 30 * MINUTE, // event week, between rounds and overnight
+    idle: 3 * 60 * MINUTE, // between events
+  };
+  const ROUND_LEAD_TIME = 15 * MINUTE; // start live refreshes ahead of the first tee time
+  const ROUND_DURATION = 6 * 60 * MINUTE; // last tee time to the end of the round, with room for delays
+  const EVENT_WINDOW = 18 * 60 * MINUTE; // gap either side of a round that still counts as event week
+  const RETRY_BASE_DELAY = 30 * 1000;
+  const RETRY_MAX_DELAY = 30 * MINUTE;
+
+  const SCHEDULED_FEEDS = {
+    field: { update: () => updateFieldList(), interval: 60 * MINUTE },
+    rankings: { update: () => updateRankings(), interval: 24 * 60 * MINUTE },
+    holes: { update: () => updateHoleByHole(), standings: true },
+    'live-stats': { update: () => updateLiveStats(), standings: true },
+    preds: { update: () => updatePreds() },
+  };
+
+  const feedTimers = {};
+  const feedNextRun = {};
+
+  // One window per round that field.json has tee times for
+  const getRoundWindows = (fieldData) => [1, 2, 3, 4]
+    .map(round => {
+      const teeTimes = (fieldData.field || [])
+        .map(p => parseTeeTime(p[`r${round}_teetime`])?.getTime())
+        .filter(t => Number.isFinite(t));
+      if (teeTimes.length === 0) return null;
+      return { round, start: Math.min(...teeTimes) - ROUND_LEAD_TIME, end: Math.max(...teeTimes) + ROUND_DURATION };
+    })
+    .filter(Boolean);
+
+  // A round that runs past its window (weather delays) keeps the live cadence until the field finishes
+  const isRoundInProgress = () => {
+    const holesData = readJsonFile(FILES.holeByHole, { players: [] });
+    const fieldData = readFeed('field');
+    if (holesData.event_name !== fieldData.event_name) return false;
+    const round = holesData.current_round || fieldData.current_round;
+    return (holesData.players || []).some(p => {
+      const scores = p.rounds?.find(r => r.round_num === round)?.scores || [];
+      const holesPlayed = scores.filter(s => s.score !== null && s.score !== undefined).length;
+      return holesPlayed > 0 && holesPlayed < 18;
+    });
+  };
+
+  const getSchedulePhase = (now = Date.now()) => {
+    const windows = getRoundWindows(readFeed('field'));
+    if (windows.some(w => now >= w.start && now <= w.end)) return 'live';
+    if (windows.some(w => now >= w.start - EVENT_WINDOW && now <= w.end + EVENT_WINDOW)) {
+      return isRoundInProgress() ? 'live' : 'event';
+    }
+    return 'idle';
+  };
+
+  const getRefreshDelay = (feed, now = Date.now()) => {
+    const { interval } = SCHEDULED_FEEDS[feed];
+    if (interval) return interval;
+    // Wake up for the next round even when the current cadence is slower
+    const nextStart = getRoundWindows(readFeed('field'))
+      .map(w => w.start)
+      .filter(start => start > now)
+      .sort((a, b) => a - b)[0];
+    const delay = REFRESH_INTERVALS[getSchedulePhase(now)];
+    return nextStart ? Math.min(delay, nextStart - now) : delay;
+  };
+
+  const getRetryDelay = (failures) => Math.min(RETRY_BASE_DELAY * 2 ** (failures - 1), RETRY_MAX_DELAY);
+
+  const scheduleFeed = (feed, delay) => {
+    clearTimeout(feedTimers[feed]);
+    feedNextRun[feed] = new Date(Date.now() + delay).toISOString();
+    feedTimers[feed] = setTimeout(() => runScheduledFeed(feed), delay);
+  };
+
+  const runScheduledFeed = async (feed) => {
+    const ok = await SCHEDULED_FEEDS[feed].update();
+    if (ok && SCHEDULED_FEEDS[feed].standings) {
+      updateSeasons()
+        .then(updateContests)
+        .then(broadcastStandings)
+        .catch(err => console.error('Failed to update seasons, contests and standings:', err.message));
+    }
+    const delay = ok ? getRefreshDelay(feed) : getRetryDelay(feedStatus[feed].consecutiveFailures);
+    if (!ok) console.log(`Retrying ${feed} in ${Math.round(delay / 1000)}s`);
+    scheduleFeed(feed, delay);
+  };
+
+  const startScheduler = () => {
+    if (!scheduler) {
+      console.log('⏸️ Background refresh disabled');
+      return;
+    }
+    // Stagger the first run so field.json is fresh before the live feeds are archived against it
+    Object.keys(SCHEDULED_FEEDS).forEach((feed, i) => scheduleFeed(feed, i * 2000));
+  };
+
+  // API routes
+  // req.user is { username } when the request carries a valid account token
+  app.use(async (req, res, next) => {
+    try {
+      req.user = await getUserFromToken(getBearerToken(req));
+      next();
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  app.get('/status', (req, res) => {
+    const feeds = {};
+    Object.keys(SCHEDULED_FEEDS).forEach(feed => {
+      feeds[feed] = {
+        lastSuccessAt: feedStatus[feed]?.lastSuccessAt || null,
+        lastFailureAt: feedStatus[feed]?.lastFailureAt || null,
+        lastError: feedStatus[feed]?.lastError || null,
+        consecutiveFailures: feedStatus[feed]?.consecutiveFailures || 0,
+        nextRunAt: scheduler ? feedNextRun[feed] || null : null,
+      };
+    });
+    res.json({
+      provider: dataProvider.name,
+      scheduler: { enabled: scheduler, phase: getSchedulePhase() },
+      replay,
+      lastManualUpdate: lastUpdateTime,
+      feeds,
+    });
+  });
+
+  // Tournament data: the whole cached file, or a filtered page when query parameters are given
+  const sendFeed = (feed) => (req, res) => {
+    const { data, body, etag } = loadFeed(feed);
+    const query = hasFeedQuery(req.query);
+    const tag = query
+      ? `W/"${crypto.createHash('sha1').update(`${etag}${req.originalUrl}`).digest('base64url')}"`
+      : etag;
+    res.set('ETag', tag);
+    if (req.headers['if-none-match']?.split(/\s*,\s*/).includes(tag)) return res.status(304).end();
+    if (!query) return res.type('json').send(body);
+
+    const { result, error } = queryFeed(data, Array.isArray(data) ? null : DATA_FEEDS[feed].rows, req.query);
+    if (error) return sendError(res, 400, error, { code: 'INVALID_QUERY' });
+    res.json(result);
+  };
+
+  app.get('/live-stats', sendFeed('live-stats'));
+  app.get('/field', sendFeed('field'));
+  app.get('/rankings', sendFeed('rankings'));
+  app.get('/holes', sendFeed('holes'));
+  app.get('/preds', sendFeed('preds'));
+
+  // Players
+  app.get('/players', (req, res) => {
+    const registry = getPlayerRegistry();
+    const { q, field } = req.query;
+    const limit = Math.min(Number(req.query.limit) || 50, 500);
+    const candidates = field === 'true' ? registry.inField() : registry.all();
+    const players = q ? registry.search(q, candidates) : candidates;
+    res.json({ count: players.length, players: players.slice(0, limit) });
+  });
+
+  app.get('/players/:dgId', (req, res) => {
+    const player = getPlayerRegistry().get(req.params.dgId);
+    if (!player) return sendError(res, 404, 'Player not found');
+    res.json(player);
+  });
+
+  app.get('/players/:dgId/scorecard', (req, res) => {
+    const dgId = Number(req.params.dgId);
+    const holesData = readFeed('holes');
+    const statsData = readFeed('live-stats');
+    const holesPlayer = (holesData.players || []).find(p => p.dg_id === dgId);
+    const statsPlayer = (statsData.live_stats || []).find(p => p.dg_id === dgId);
+    if (!holesPlayer && !statsPlayer) return sendError(res, 404, 'No scorecard for this player');
+
+    res.json({
+      dgId,
+      name: holesPlayer?.player_name || statsPlayer.player_name,
+      eventName: holesData.event_name || statsData.event_name || null,
+      currentRound: holesData.current_round || null,
+      lastUpdate: holesData.last_update || null,
+      ...buildScorecard(holesPlayer, statsPlayer),
+    });
+  });
+
+  // Snapshot history
+  app.get('/history', (req, res) => res.json({ events: snapshotArchive.listEvents() }));
+
+  app.get('/history/:eventId', (req, res) => {
+    const event = snapshotArchive.getEvent(req.params.eventId);
+    if (!event) return sendError(res, 404, 'No snapshots for this event');
+
+    const { feed, round } = req.query;
+    const snapshots = event.snapshots
+      .filter(s => !feed || s.feed === feed)
+      .filter(s => !round || String(s.round) === String(round))
+      .map(({ hash, ...snapshot }) => snapshot);
+    res.json({ eventId: event.eventId, eventName: event.eventName, snapshots });
+  });
+
+  // Replay mode: serve a past snapshot time from /holes, /live-stats, /preds and standings
+  app.get('/replay', (req, res) => res.json({ replay }));
+
+  // Replay swaps every league's live data, so it takes the admin token in an X-Admin-Token header
+  const requireAdmin = (req, res, next) => {
+    if (!adminToken) return sendError(res, 403, 'Admin controls are disabled; set ADMIN_TOKEN to enable them.');
+    const sent = req.get('x-admin-token');
+    if (!sent) return sendError(res, 401, 'Send the admin token in an X-Admin-Token header.');
+    if (!crypto.timingSafeEqual(Buffer.from(hashToken(sent)), Buffer.from(hashToken(adminToken)))) {
+      return sendError(res, 403, 'The admin token is not valid.');
+    }
+    next();
+  };
+
+  app.post('/replay', requireAdmin, validateBody(bodySchemas.startReplay), async (req, res) => {
+    const { eventId } = req.body;
+    const event = snapshotArchive.getEvent(eventId);
+    if (!event || event.snapshots.length === 0) return sendError(res, 404, 'No snapshots for this event');
+
+    const at = req.body.at ? new Date(req.body.at) : new Date(event.snapshots[event.snapshots.length - 1].takenAt);
+    if (Number.isNaN(at.getTime())) return sendError(res, 400, 'at must be a valid date.');
+    if (event.snapshots[0].takenAt > at.toISOString()) {
+      return sendError(res, 400, `The first snapshot for this event was taken at ${event.snapshots[0].takenAt}.`);
+    }
+
+    replay = { eventId: event.eventId, eventName: event.eventName, at: at.toISOString() };
+    feedCache.clear();
+    playerRegistry = null;
+    console.log(`⏪ Replaying event ${replay.eventId} at ${replay.at}`);
+    await broadcastStandings().catch(err => console.error('Failed to broadcast standings:', err.message));
+    res.json({ replay });
+  });
+
+  app.delete('/replay', requireAdmin, async (req, res) => {
+    replay = null;
+    feedCache.clear();
+    playerRegistry = null;
+    console.log('▶️ Replay stopped, serving live data');
+    await broadcastStandings().catch(err => console.error('Failed to broadcast standings:', err.message));
+    res.json({ replay });
+  });
+
+  // Usernames that leagues or contests still name. Should the user store ever come back without an
+  // account that leagues refer to, nobody may sign up under that name and inherit its leagues.
+  const isUsernameReferenced = async (username) => {
+    const [leagues, contests] = await Promise.all([leagueStore.getLeagues(), leagueStore.getContests()]);
+    return Object.values(leagues).some(league => league.commissioner === username
+      || (league.members || []).includes(username)
+      || Object.values(league.teamUsers || {}).includes(username))
+      || Object.values(contests).some(contest => contest.commissioner === username || (contest.members || []).includes(username));
+  };
+
+  // Accounts: sign up with a password to log in later, or without one to get a magic token only
+  app.post('/users', validateBody(bodySchemas.createUser), async (req, res) => {
+    try {
+      const { username, password } = req.body;
+      const name = username.trim().toLowerCase();
+      const details = [];
+      if (!USERNAME_PATTERN.test(name)) details.push({ path: 'username', message: 'must be 3-32 letters, numbers, dots, dashes or underscores' });
+      if (password !== undefined && password.length < MIN_PASSWORD_LENGTH) {
+        details.push({ path: 'password', message: `must be at least ${MIN_PASSWORD_LENGTH} characters` });
+      }
+      if (details.length > 0) return sendError(res, 400, 'The request body is invalid.', { code: 'VALIDATION_ERROR', details });
+
+      if (await isUsernameReferenced(name) && !(await leagueStore.getUser(name))) {
+        console.error(`Refused sign-up as ${name}: leagues still name that user but the account is missing`);
+        return sendError(res, 409, 'That username is taken.', { code: 'USER_EXISTS' });
+      }
+      const salt = password ? crypto.randomBytes(16).toString('hex') : null;
+      try {
+        await leagueStore.createUser({ username: name, passwordHash: password ? hashPassword(password, salt) : null, salt });
+      } catch (err) {
+        if (err.code === 'USER_EXISTS') return sendError(res, 409, 'That username is taken.', { code: 'USER_EXISTS' });
+        throw err;
+      }
+      res.status(201).json({ username: name, token: await issueUserToken(name) });
+    } catch (err) {
+      console.error('Error creating user:', err.message);
+      sendError(res, 500, 'Failed to create user');
+    }
+  });
+
+  app.post('/sessions', validateBody(bodySchemas.createSession), async (req, res) => {
+    try {
+      const { username, password } = req.body;
+      const name = username.trim().toLowerCase();
+      const user = await leagueStore.getUser(name);
+      const expected = user?.passwordHash ? Buffer.from(user.passwordHash, 'hex') : null;
+      const actual = expected ? Buffer.from(hashPassword(password, user.salt), 'hex') : null;
+      if (!expected || !crypto.timingSafeEqual(expected, actual)) {
+        return sendError(res, 401, 'Wrong username or password.', { code: 'INVALID_CREDENTIALS' });
+      }
+      res.json({ username: name, token: await issueUserToken(name) });
+    } catch (err) {
+      console.error('Error logging in:', err.message);
+      sendError(res, 500, 'Failed to log in');
+    }
+  });
+
+  app.get('/users/me', (req, res) => {
+    if (!req.user) return sendError(res, 401, 'Log in to see your account.');
+    res.json(req.user);
+  });
+
+  // Every /leagues/:id route needs a member account, the league's commissioner token or one of its owner tokens
+  app.use('/leagues/:id', async (req, res, next) => {
+    try {
+      const league = await leagueStore.getLeague(req.params.id);
+      if (!league) return sendError(res, 404, 'League not found');
+      const auth = {
+        user: req.user,
+        ownerToken: req.get('x-owner-token'),
+        commissionerToken: req.get('x-commissioner-token'),
+      };
+      if (!canAccessLeague(league, auth)) {
+        return req.user
+          ? sendError(res, 403, 'You are not a member of this league.')
+          : sendError(res, 401, 'Log in to view this league.');
+      }
+      next();
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  app.get('/leagues', async (req, res) => {
+    try {
+      if (!req.user) return sendError(res, 401, 'Log in to list your leagues.');
+      const allLeagues = await leagueStore.getLeagues();
+      const leagues = {};
+      for (const leagueId in allLeagues) {
+        if (isMember(allLeagues[leagueId], req.user)) leagues[leagueId] = toPublicLeague(allLeagues[leagueId]);
+      }
+      res.json(leagues);
+    } catch (err) {
+      console.error('Error loading leagues:', err.message);
+      sendError(res, 500, 'Failed to load leagues');
+    }
+  });
+
+  app.get('/leagues/:id', async (req, res) => {
+    try {
+      const league = await leagueStore.getLeague(req.params.id);
+      if (!league) return sendError(res, 404, 'League not found');
+      res.set('ETag', `"${league.version || 0}"`);
+      res.json(toPublicLeague(league));
+    } catch (err) {
+      console.error('Error loading league:', err.message);
+      sendError(res, 500, 'Failed to load league');
+    }
+  });
+
+  app.get('/leagues/:id/standings', async (req, res) => {
+    try {
+      const league = await leagueStore.getLeague(req.params.id);
+      if (!league) return sendError(res, 404, 'League not found');
+      res.json(computeStandings(req.params.id, league));
+    } catch (err) {
+      console.error('Error computing standings:', err.message);
+      sendError(res, 500, 'Failed to compute standings');
+    }
+  });
+
+  app.get('/leagues/:id/matchups', async (req, res) => {
+    try {
+      const league = await leagueStore.getLeague(req.params.id);
+      if (!league) return sendError(res, 404, 'League not found');
+      if (!league.headToHead) return sendError(res, 400, 'This league does not play head-to-head.', { code: 'NOT_HEAD_TO_HEAD' });
+      const standings = computeStandings(req.params.id, league);
+      const scoring = normalizeScoring(league.scoring);
+      const teams = [...standings.teams].sort((a, b) => a.teamIndex - b.teamIndex);
+      res.json({
+        leagueId: req.params.id,
+        eventName: standings.eventName,
+        currentRound: standings.currentRound,
+        ...computeHeadToHead(league, teams, readFeed('holes'), readFeed('live-stats'), scoring),
+      });
+    } catch (err) {
+      console.error('Error computing matchups:', err.message);
+      sendError(res, 500, 'Failed to compute matchups');
+    }
+  });
+
+  app.get('/leagues/:id/projections', async (req, res) => {
+    try {
+      const league = await leagueStore.getLeague(req.params.id);
+      if (!league) return sendError(res, 404, 'League not found');
+      const standings = computeStandings(req.params.id, league);
+      const predsData = readFeed('preds');
+      res.json({
+        leagueId: standings.leagueId,
+        eventName: standings.eventName,
+        currentRound: standings.currentRound,
+        predsLastUpdate: predsData.info?.last_update || null,
+        simulations: PROJECTION_SIMULATIONS,
+        teams: standings.teams
+          .map(({ teamIndex, teamName, rank, points, projection, players }) => ({
+            teamIndex,
+            teamName,
+            rank,
+            points,
+            projection,
+            players: players.map(({ id, name, points, position, counted, projection }) => ({ id, name, points, position, counted, projection })),
+          }))
+          .sort((a, b) => b.projection.winProbability - a.projection.winProbability),
+      });
+    } catch (err) {
+      console.error('Error computing projections:', err.message);
+      sendError(res, 500, 'Failed to compute projections');
+    }
+  });
+
+  app.post('/leagues', validateBody(bodySchemas.createLeague), async (req, res) => {
+    try {
+      if (!req.user) return sendError(res, 401, 'Log in to create a league.');
+      const { teams, teamNames, scoring } = req.body;
+      const validation = validateLeagueSettings(req.body);
+      if (validation.error) return sendError(res, 400, validation.error, { code: 'INVALID_SETTINGS' });
+
+      const newLeague = {
+        teams: teams || Array(teamNames.length).fill().map(() => []),
+        teamNames: teamNames || [],
+        availablePlayers: [],
+        currentTeamIndex: 0,
+        snakeDirection: 1,
+        isDrafting: false,
+        draftComplete: false,
+        teamOwners: {},
+        scoring: normalizeScoring(scoring),
+        pickTimeLimit: DEFAULT_PICK_TIME_LIMIT,
+        pickDeadline: null,
+        draftOrder: null,
+        auction: null,
+        mode: 'draft',
+        season: null,
+        headToHead: null,
+        ...validation.updates,
+        inviteCode: generateInviteCode(),
+        ownerTokens: {},
+        commissionerToken: generateOwnerToken(),
+        commissioner: req.user.username,
+        members: [req.user.username],
+        pickLog: [],
+      };
+
+      let nextId;
+      try {
+        nextId = await leagueStore.createLeague(newLeague);
+      } catch (err) {
+        console.error('Failed to write league data in POST /leagues:', err.message);
+        return sendError(res, 500, 'Failed to save league data.');
+      }
+
+      res.status(201).json({
+        leagueId: nextId,
+        inviteCode: newLeague.inviteCode,
+        commissionerToken: newLeague.commissionerToken,
+      });
+    } catch (err) {
+      console.error('Error creating league:', err.message);
+      sendError(res, 500, 'Failed to create league');
+    }
+  });
+
+  // Only settings can change here; rosters, draft state and tokens have their own routes
+  app.put('/leagues/:id', validateBody(bodySchemas.updateLeague), async (req, res) => {
+    try {
+      const league = await leagueStore.getLeague(req.params.id);
+      if (!league) return sendError(res, 404, 'League not found');
+      if (!isLeagueCommissioner(league, { user: req.user, commissionerToken: req.get('x-commissioner-token') })) {
+        return sendError(res, 403, 'Only the commissioner can change league settings.');
+      }
+      // Clients send back the ETag from GET /leagues/:id so they can't overwrite changes they haven't seen
+      const ifMatch = req.get('if-match');
+      if (!ifMatch) return sendError(res, 428, 'Send the league ETag in an If-Match header.');
+      if (ifMatch.replace(/^W\//, '') !== `"${league.version || 0}"`) {
+        return sendError(res, 409, 'The league was changed since you loaded it. Reload it and try again.', {
+          code: 'VERSION_CONFLICT',
+          details: { version: league.version || 0 },
+        });
+      }
+      const validation = validateLeagueSettings(req.body, league);
+      if (validation.error) return sendError(res, 400, validation.error, { code: 'INVALID_SETTINGS' });
+      const updated = { ...league, ...validation.updates };
+      if (req.body.teamNames) updated.teamNames = req.body.teamNames;
+      // A new team count starts empty rosters over, and team claims with them
+      if (updated.teamNames.length !== league.teamNames.length) {
+        Object.assign(updated, {
+          teams: updated.teamNames.map(() => []),
+          currentTeamIndex: 0,
+          snakeDirection: 1,
+          draftOrder: null,
+          ownerTokens: {},
+          teamOwners: {},
+          teamUsers: {},
+          queues: {},
+        });
+      }
+      if (req.body.scoring) {
+        updated.scoring = normalizeScoring({ ...league.scoring, ...req.body.scoring });
+      }
+      bumpDraftSeq(updated);
+      try {
+        await leagueStore.saveLeague(req.params.id, updated);
+      } catch (err) {
+        console.error('Failed to write league data in PUT /leagues:', err.message);
+        return sendSaveError(res, err, 'Failed to update league data.');
+      }
+      res.set('ETag', `"${updated.version}"`);
+      io.to(leagueRoom(req.params.id)).emit('draft-snapshot', getDraftSnapshot(req.params.id, updated));
+      res.json(toPublicLeague(updated));
+    } catch (err) {
+      sendError(res, 500, 'Failed to update league');
+    }
+  });
+
+  app.delete('/leagues/:id', async (req, res) => {
+    try {
+      const league = await leagueStore.getLeague(req.params.id);
+      if (!league) return sendError(res, 404, 'League not found');
+      if (!isLeagueCommissioner(league, { user: req.user, commissionerToken: req.get('x-commissioner-token') })) {
+        return sendError(res, 403, 'Only the commissioner can delete the league.');
+      }
+      clearPickTimer(req.params.id);
+      await leagueStore.deleteLeague(req.params.id);
+      console.log(`🗑️ League ${req.params.id} deleted by ${req.user?.username || 'commissioner token'}`);
+      io.to(leagueRoom(req.params.id)).emit('league-deleted', { leagueId: req.params.id });
+      res.status(204).end();
+    } catch (err) {
+      console.error('Error deleting league:', err.message);
+      sendError(res, 500, 'Failed to delete league');
+    }
+  });
+
+  app.get('/leagues/:id/members', async (req, res) => {
+    try {
+      const league = await leagueStore.getLeague(req.params.id);
+      if (!league) return sendError(res, 404, 'League not found');
+      res.json({ commissioner: league.commissioner || null, members: league.members || [] });
+    } catch (err) {
+      console.error('Error loading members:', err.message);
+      sendError(res, 500, 'Failed to load members');
+    }
+  });
+
+  app.delete('/leagues/:id/members/:username', async (req, res) => {
+    try {
+      const league = await leagueStore.getLeague(req.params.id);
+      if (!league) return sendError(res, 404, 'League not found');
+      if (!isLeagueCommissioner(league, { user: req.user, commissionerToken: req.get('x-commissioner-token') })) {
+        return sendError(res, 403, 'Only the commissioner can remove members.');
+      }
+      const { username } = req.params;
+      if (username === league.commissioner) return sendError(res, 400, 'The commissioner cannot be removed.');
+      // Their claimed teams go back up for grabs so the old owner token stops working
+      const removeMember = (current) => {
+        if (!(current.members || []).includes(username)) return false;
+        current.members = current.members.filter(name => name !== username);
+        for (const teamIndex in current.teamUsers || {}) {
+          if (current.teamUsers[teamIndex] !== username) continue;
+          delete current.teamUsers[teamIndex];
+          delete current.ownerTokens?.[teamIndex];
+          delete current.teamOwners?.[teamIndex];
+        }
+        return true;
+      };
+      if (!removeMember(league)) return sendError(res, 404, 'Member not found');
+      let saved;
+      try {
+        saved = await saveLeagueWithRetry(req.params.id, league, removeMember);
+      } catch (err) {
+        console.error('Failed to write league data in DELETE /members:', err.message);
+        return sendSaveError(res, err, 'Failed to remove member.');
+      }
+      res.json({ commissioner: saved.commissioner, members: saved.members });
+    } catch (err) {
+      console.error('Error removing member:', err.message);
+      sendError(res, 500, 'Failed to remove member');
+    }
+  });
+
+  // Queue routes authenticate with the owner token in the X-Owner-Token header
+  const handleQueueRequest = (change) => async (req, res) => {
+    try {
+      const auth = { ownerToken: req.get('x-owner-token') };
+      const result = await updateQueue(req.params.id, req.params.teamIndex, auth, change?.(req));
+      if (result.error) return sendError(res, result.status, result.error);
+      res.json({ queue: result.queue });
+
+      if (change) {
+        const league = await leagueStore.getLeague(req.params.id);
+        const ownerId = league?.teamOwners?.[req.params.teamIndex];
+        if (ownerId) {
+          io.to(ownerId).emit('queue-update', { leagueId: req.params.id, teamIndex: Number(req.params.teamIndex), queue: result.queue });
+        }
+      }
+    } catch (err) {
+      console.error('Error updating queue:', err.message);
+      sendError(res, 500, 'Failed to update queue');
+    }
+  };
+
+  app.get('/leagues/:id/queues/:teamIndex', handleQueueRequest());
+  app.put('/leagues/:id/queues/:teamIndex', validateBody(bodySchemas.setQueue), handleQueueRequest(req => setQueue(req.body.queue)));
+  app.delete('/leagues/:id/queues/:teamIndex', handleQueueRequest(() => clearQueue()));
+
+  app.get('/leagues/:id/picks', async (req, res) => {
+    try {
+      const league = await leagueStore.getLeague(req.params.id);
+      if (!league) return sendError(res, 404, 'League not found');
+      res.json(league.pickLog || []);
+    } catch (err) {
+      console.error('Error loading pick log:', err.message);
+      sendError(res, 500, 'Failed to load pick log');
+    }
+  });
+
+  // Post-draft roster moves; trades are commissioner-only, add/drop also accepts the team's owner token
+  const handleRosterMove = (move, canMove) => async (req, res) => {
+    try {
+      const league = await leagueStore.getLeague(req.params.id);
+      if (!league) return sendError(res, 404, 'League not found');
+      if (!canMove(league, req)) return sendError(res, 403, 'Not allowed to change these rosters.');
+
+      const result = move(league, req.body);
+      if (result.error) return sendError(res, 400, result.error, { code: 'INVALID_MOVE' });
+      bumpDraftSeq(league);
+
+      try {
+        await leagueStore.appendLog(req.params.id, league, result.entry);
+      } catch (err) {
+        console.error('Failed to write roster move:', err.message);
+        return sendSaveError(res, err, 'Failed to save roster move.');
+      }
+
+      emitDraftDelta(req.params.id, league, 'transaction', result.entry);
+      res.json(result.entry);
+    } catch (err) {
+      console.error('Error applying roster move:', err.message);
+      sendError(res, 500, 'Failed to apply roster move');
+    }
+  };
+
+  app.post('/leagues/:id/trades', validateBody(bodySchemas.trade), handleRosterMove(
+    tradePlayers,
+    (league, req) => isLeagueCommissioner(league, { user: req.user, commissionerToken: req.get('x-commissioner-token') }),
+  ));
+
+  app.post('/leagues/:id/free-agents', validateBody(bodySchemas.addDrop), handleRosterMove(
+    addDropPlayer,
+    (league, req) => isLeagueCommissioner(league, { user: req.user, commissionerToken: req.get('x-commissioner-token') })
+      || isTeamOwner(league, req.body.teamIndex, { ownerToken: req.get('x-owner-token') }),
+  ));
+
+  app.get('/leagues/:id/salaries', async (req, res) => {
+    try {
+      const league = await leagueStore.getLeague(req.params.id);
+      if (!league) return sendError(res, 404, 'League not found');
+      if (league.mode !== 'salary-cap') return sendError(res, 400, 'This league does not use salary-cap lineups.');
+      res.json({ ...getSalaryCap(league), rosterSize: getRosterSize(league), players: getSalaryPool(league) });
+    } catch (err) {
+      console.error('Error loading salaries:', err.message);
+      sendError(res, 500, 'Failed to load salaries');
+    }
+  });
+
+  app.put('/leagues/:id/lineups/:teamIndex', validateBody(bodySchemas.setLineup), async (req, res) => {
+    try {
+      const league = await leagueStore.getLeague(req.params.id);
+      if (!league) return sendError(res, 404, 'League not found');
+      if (league.mode !== 'salary-cap') return sendError(res, 400, 'This league does not use salary-cap lineups.');
+      if (!isTeamOwner(league, req.params.teamIndex, { ownerToken: req.get('x-owner-token') })) {
+        return sendError(res, 403, 'Only the team owner can set this lineup.');
+      }
+
+      const result = setLineup(league, req.params.teamIndex, req.body.playerIds);
+      if (result.error) return sendError(res, 400, result.error, { code: 'INVALID_LINEUP' });
+
+      try {
+        await leagueStore.saveLeague(req.params.id, league);
+      } catch (err) {
+        console.error('Failed to write lineup:', err.message);
+        return sendSaveError(res, err, 'Failed to save lineup.');
+      }
+
+      io.to(leagueRoom(req.params.id)).emit('lineup-update', {
+        leagueId: req.params.id,
+        teamIndex: Number(req.params.teamIndex),
+        lineup: result.lineup,
+      });
+      res.json({ lineup: result.lineup });
+    } catch (err) {
+      console.error('Error setting lineup:', err.message);
+      sendError(res, 500, 'Failed to set lineup');
+    }
+  });
+
+  app.get('/leagues/:id/season', async (req, res) => {
+    try {
+      const league = await leagueStore.getLeague(req.params.id);
+      if (!league) return sendError(res, 404, 'League not found');
+      if (!league.season) return sendError(res, 400, 'This is not a season league.');
+      res.json(getSeasonStandings(req.params.id, league));
+    } catch (err) {
+      console.error('Error loading season:', err.message);
+      sendError(res, 500, 'Failed to load season');
+    }
+  });
+
+  // Look up a league by invite code so a new owner can pick an unclaimed team
+  app.get('/invites/:code', async (req, res) => {
+    try {
+      const leagues = await leagueStore.getLeagues();
+      const code = req.params.code.toUpperCase();
+      const leagueId = Object.keys(leagues).find(id => leagues[id].inviteCode === code);
+      if (!leagueId) return sendError(res, 404, 'Invite code not found');
+      const league = leagues[leagueId];
+      res.json({
+        leagueId,
+        teamNames: league.teamNames,
+        claimedTeams: Object.keys(league.ownerTokens || {}).map(Number),
+      });
+    } catch (err) {
+      console.error('Error looking up invite code:', err.message);
+      sendError(res, 500, 'Failed to look up invite code');
+    }
+  });
+
+  // Joining by invite code makes the logged-in user a league member
+  app.post('/invites/:code/join', async (req, res) => {
+    try {
+      if (!req.user) return sendError(res, 401, 'Log in to join a league.');
+      const leagues = await leagueStore.getLeagues();
+      const code = req.params.code.toUpperCase();
+      const leagueId = Object.keys(leagues).find(id => leagues[id].inviteCode === code);
+      if (!leagueId) return joinContest(req, res, code);
+      const league = leagues[leagueId];
+      const join = (current) => addMember(current, req.user.username);
+      if (join(league)) {
+        try {
+          await saveLeagueWithRetry(leagueId, league, join);
+        } catch (err) {
+          console.error('Failed to write league data in POST /invites/join:', err.message);
+          return sendSaveError(res, err, 'Failed to join league.');
+        }
+      }
+      res.json({ leagueId, teamNames: league.teamNames, claimedTeams: Object.keys(league.ownerTokens || {}).map(Number) });
+    } catch (err) {
+      console.error('Error joining league:', err.message);
+      sendError(res, 500, 'Failed to join league');
+    }
+  });
+
+  // Contest invites share /invites/:code/join with leagues
+  const joinContest = async (req, res, code) => {
+    const contests = await leagueStore.getContests();
+    const contestId = Object.keys(contests).find(id => contests[id].inviteCode === code);
+    if (!contestId) return sendError(res, 404, 'Invite code not found');
+    const contest = contests[contestId];
+    const join = (current) => addMember(current, req.user.username);
+    if (join(contest)) {
+      try {
+        await saveContestWithRetry(contestId, contest, join);
+      } catch (err) {
+        console.error('Failed to write contest data in POST /invites/join:', err.message);
+        return sendSaveError(res, err, 'Failed to join contest.', 'contest');
+      }
+    }
+    res.json({ contestId, name: contest.name, type: contest.type });
+  };
+
+  // Every /contests/:id route is for the contest's members
+  app.use('/contests/:id', async (req, res, next) => {
+    try {
+      const contest = await leagueStore.getContest(req.params.id);
+      if (!contest) return sendError(res, 404, 'Contest not found');
+      if (!req.user) return sendError(res, 401, 'Log in to view this contest.');
+      if (!isMember(contest, req.user)) return sendError(res, 403, 'You are not a member of this contest.');
+      req.contest = contest;
+      next();
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  app.get('/contests', async (req, res) => {
+    try {
+      if (!req.user) return sendError(res, 401, 'Log in to list your contests.');
+      const allContests = await leagueStore.getContests();
+      const contests = {};
+      for (const contestId in allContests) {
+        if (isMember(allContests[contestId], req.user)) {
+          contests[contestId] = toPublicContest(contestId, allContests[contestId], req.user.username);
+        }
+      }
+      res.json(contests);
+    } catch (err) {
+      console.error('Error loading contests:', err.message);
+      sendError(res, 500, 'Failed to load contests');
+    }
+  });
+
+  app.post('/contests', validateBody(bodySchemas.createContest), async (req, res) => {
+    try {
+      if (!req.user) return sendError(res, 401, 'Log in to create a contest.');
+      const { name, type, settings } = req.body;
+      const contest = {
+        name,
+        type,
+        settings: normalizeContestSettings(type, settings),
+        inviteCode: generateInviteCode(),
+        commissioner: req.user.username,
+        members: [req.user.username],
+        events: {},
+        createdAt: new Date().toISOString(),
+      };
+      let contestId;
+      try {
+        contestId = await leagueStore.createContest(contest);
+      } catch (err) {
+        console.error('Failed to write contest data in POST /contests:', err.message);
+        return sendError(res, 500, 'Failed to save contest data.');
+      }
+      res.status(201).json({ contestId, inviteCode: contest.inviteCode });
+    } catch (err) {
+      console.error('Error creating contest:', err.message);
+      sendError(res, 500, 'Failed to create contest');
+    }
+  });
+
+  app.get('/contests/:id', (req, res) => {
+    try {
+      res.json(toPublicContest(req.params.id, req.contest, req.user.username));
+    } catch (err) {
+      console.error('Error loading contest:', err.message);
+      sendError(res, 500, 'Failed to load contest');
+    }
+  });
+
+  app.get('/contests/:id/standings', (req, res) => {
+    try {
+      const { contestId, currentEvent, standings } = toPublicContest(req.params.id, req.contest, req.user.username);
+      res.json({ contestId, currentEvent, standings });
+    } catch (err) {
+      console.error('Error computing contest standings:', err.message);
+      sendError(res, 500, 'Failed to compute contest standings');
+    }
+  });
+
+  // Replaces the caller's picks for the event in field.json; round-leader pools pick one round at a time
+  app.put('/contests/:id/picks', validateBody(bodySchemas.submitPicks), async (req, res) => {
+    try {
+      const contestId = req.params.id;
+      const { contest } = req;
+      const { username } = req.user;
+      const fieldData = readFeed('field');
+      const eventId = fieldData.event_id;
+      if (!eventId) return sendError(res, 409, 'There is no event open for picks.', { code: 'NO_EVENT' });
+
+      const isRoundLeader = contest.type === 'round-leader';
+      const round = isRoundLeader ? req.body.round : 1;
+      if (!round) return sendError(res, 400, 'Round-leader picks need a round.', { code: 'INVALID_PICKS' });
+      const count = getPickCount(contest);
+      const ids = req.body.players.map(String);
+      if (ids.length !== count || new Set(ids).size !== ids.length) {
+        return sendError(res, 400, `Pick exactly ${count} different golfer${count === 1 ? '' : 's'}.`, { code: 'INVALID_PICKS' });
+      }
+      if (isRoundLocked(round, fieldData, readFeed('holes'))) {
+        return sendError(res, 409, `Picks for round ${round} are locked.`, { code: 'PICKS_LOCKED' });
+      }
+      const fieldById = new Map((fieldData.field || []).map(p => [String(p.dg_id), p]));
+      const missing = ids.find(id => !fieldById.has(id));
+      if (missing) {
+        return sendError(res, 400, `Player ${missing} is not in the ${fieldData.event_name} field.`, {
+          code: 'PLAYER_UNAVAILABLE',
+          details: { playerId: missing },
+        });
+      }
+      if (contest.type === 'one-and-done') {
+        const used = getUsedPlayerIds(contest, username, eventId);
+        const reused = ids.find(id => used.has(id));
+        if (reused) {
+          return sendError(res, 409, `${fieldById.get(reused).player_name} was already used in another event.`, {
+            code: 'PLAYER_USED',
+            details: { playerId: reused },
+          });
+        }
+      }
+
+      const players = ids.map(id => ({ id: fieldById.get(id).dg_id, name: fieldById.get(id).player_name }));
+      const enter = (current) => {
+        current.events[eventId] = current.events[eventId] || {
+          eventId, eventName: fieldData.event_name, entries: {}, results: null, final: false,
+        };
+        const { entries } = current.events[eventId];
+        entries[username] = isRoundLeader
+          ? { rounds: { ...entries[username]?.rounds, [round]: players[0] }, updatedAt: new Date().toISOString() }
+          : { players, updatedAt: new Date().toISOString() };
+      };
+      enter(contest);
+      let saved;
+      try {
+        saved = await saveContestWithRetry(contestId, contest, enter);
+      } catch (err) {
+        console.error('Failed to write contest data in PUT /contests/:id/picks:', err.message);
+        return sendSaveError(res, err, 'Failed to save picks.', 'contest');
+      }
+      res.json({ contestId, eventId, eventName: fieldData.event_name, entry: saved.events[eventId].entries[username] });
+    } catch (err) {
+      console.error('Error saving contest picks:', err.message);
+      sendError(res, 500, 'Failed to save picks');
+    }
+  });
+
+  app.delete('/contests/:id', async (req, res) => {
+    try {
+      if (req.contest.commissioner !== req.user.username) {
+        return sendError(res, 403, 'Only the contest commissioner can delete it.');
+      }
+      await leagueStore.deleteContest(req.params.id);
+      res.status(204).end();
+    } catch (err) {
+      console.error('Error deleting contest:', err.message);
+      sendError(res, 500, 'Failed to delete contest');
+    }
+  });
+
+  app.post('/update-data', async (req, res) => {
+    try {
+      const currentTime = new Date();
+      const easternTime = getEasternTime();
+      if (lastUpdateTime && (currentTime - new Date(lastUpdateTime)) / 1000 / 60 < 5) {
+        return sendError(res, 429, 'Please wait before updating again.');
+      }
+      await updateHoleByHole();
+      await updateLiveStats();
+      await updatePreds();
+      const today = new Date().toISOString().split('T')[0];
+      if (lastFieldUpdate !== today) {
+        await updateFieldList();
+        await updateRankings();
+        lastFieldUpdate = today;
+      }
+      lastUpdateTime = currentTime;
+      updateSeasons()
+        .then(updateContests)
+        .then(broadcastStandings)
+        .catch(err => console.error('Failed to update seasons, contests and standings:', err.message));
+      res.json({ message: 'Data updated', lastUpdateTime: easternTime });
+    } catch (err) {
+      sendError(res, 500, 'Failed to update data');
+    }
+  });
+
+  app.use((req, res) => sendError(res, 404, `No route for ${req.method} ${req.path}`));
+
+  // Malformed JSON bodies from body-parser and anything a handler passed to next(err)
+  app.use((err, req, res, next) => {
+    if (err.type === 'entity.parse.failed') return sendError(res, 400, 'The request body is not valid JSON.', { code: 'INVALID_JSON' });
+    console.error(`Error handling ${req.method} ${req.path}:`, err.message);
+    sendError(res, err.status || 500, 'Something went wrong on the server.');
+  });
+
+  // Real-time Draft Events
+  // Sockets log in with { auth: { token } }; socket.data.user is null for guests
+  io.use(async (socket, next) => {
+    try {
+      socket.data.user = await getUserFromToken(socket.handshake.auth?.token);
+      next();
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // Members and token holders can watch a draft; the invite code lets a newcomer in to claim a team
+  const canJoinDraft = (socket, league, { ownerToken, commissionerToken, inviteCode }) => canAccessLeague(league, {
+    user: socket.data.user, ownerToken, commissionerToken,
+  }) || (Boolean(league.inviteCode) && String(inviteCode || '').toUpperCase() === league.inviteCode);
+
+  io.on('connection', (socket) => {
+    console.log('🟢 New user connected:', socket.id);
+
+    // Each event reports failures as { code, message, details } on its own reply event
+    const rejectJoin = ({ leagueId }, error) => socket.emit('draft-status', { leagueId, error });
+    const rejectAssign = (payload, error) => socket.emit('team-assigned', { success: false, error });
+    const rejectQueue = ({ leagueId, teamIndex }, error) => socket.emit('queue-update', { leagueId, teamIndex, error });
+    const rejectSnapshot = ({ leagueId }, error) => socket.emit('draft-snapshot', { leagueId, error });
+    const rejectPick = ({ leagueId, teamIndex, player }, error) => socket.emit('pick-rejected', {
+      leagueId, teamIndex, playerId: player?.id ?? null, error,
+    });
+    const rejectAuction = ({ leagueId }, error) => socket.emit('auction-error', { leagueId, error });
+    const rejectUndo = (payload, error) => socket.emit('undo-pick-result', { success: false, error });
+
+    // Payloads are checked against socketSchemas before the handler sees them. A handler that throws
+    // rejects the event instead of leaving an unhandled rejection to take the process down.
+    const on = (event, reject, handler) => socket.on(event, async (payload) => {
+      const details = validate(socketSchemas[event], payload, 'payload');
+      if (details.length > 0) return reject(payload || {}, apiError('VALIDATION_ERROR', `Invalid ${event} payload.`, details));
+      try {
+        return await handler(payload);
+      } catch (err) {
+        console.error(`Error handling ${event} from ${socket.id}:`, err.message);
+        return reject(payload, apiError('INTERNAL_ERROR', 'Something went wrong on the server.'));
+      }
+    });
+
+    on('join-draft', rejectJoin, async ({ leagueId, ownerToken, commissionerToken, inviteCode }) => {
+      let league = await loadLeague(leagueId);
+      if (!league) {
+        rejectJoin({ leagueId }, apiError('NOT_FOUND', 'League not found.'));
+        return;
+      }
+      if (!canJoinDraft(socket, league, { ownerToken, commissionerToken, inviteCode })) {
+        rejectJoin({ leagueId }, apiError('FORBIDDEN', 'You are not a member of this league.'));
+        return;
+      }
+
+      // Reconnecting owners rebind their team to this socket; returns whether the league changed
+      const ownedTeamIndex = findTeamByToken(league, ownerToken);
+      const prepareLeague = (current) => {
+        let changed = false;
+        if (ownedTeamIndex !== null && current.teamOwners?.[ownedTeamIndex] !== socket.id) {
+          current.teamOwners = { ...(current.teamOwners || {}), [ownedTeamIndex]: socket.id };
+          changed = true;
+        }
+        if (!current.teams || current.teams.length === 0) {
+          current.teams = Array(current.teamNames.length).fill().map(() => []);
+          changed = true;
+        }
+        return changed;
+      };
+      const leagueChanged = prepareLeague(league);
+      if (socket.data.leagueId !== undefined && String(socket.data.leagueId) !== String(leagueId)) {
+        const previousLeagueId = socket.data.leagueId;
+        socket.leave(leagueRoom(previousLeagueId));
+        const previousLeague = await loadLeague(previousLeagueId);
+        io.to(leagueRoom(previousLeagueId)).emit('user-left', {
+          socketId: socket.id,
+          ...getLobbyPresence(previousLeagueId, previousLeague?.teamOwners),
+        });
+      }
+      socket.join(leagueRoom(leagueId));
+      socket.data.leagueId = leagueId;
+      io.to(leagueRoom(leagueId)).emit('user-joined', {
+        socketId: socket.id,
+        ...getLobbyPresence(leagueId, league.teamOwners),
+      });
+
+      console.log(`Initial availablePlayers for league ${leagueId}:`, league.availablePlayers ? league.availablePlayers.map(p => ({ id: p.id, name: p.name })) : 'empty');
+
+      if (leagueChanged) {
+        try {
+          league = await saveLeagueWithRetry(leagueId, league, prepareLeague);
+        } catch (err) {
+          console.error('Failed to write league data in join-draft:', err.message);
+          rejectJoin({ leagueId }, apiError('SAVE_FAILED', 'Failed to initialize teams on the server. Please try again.'));
+          return;
+        }
+      }
+
+      if (ownedTeamIndex !== null) {
+        console.log(`Owner of team ${ownedTeamIndex} in league ${leagueId} reconnected on socket ${socket.id}`);
+        socket.emit('team-assigned', { success: true, teamIndex: ownedTeamIndex, ownerToken });
+        io.to(leagueRoom(leagueId)).emit('team-owners', getLobbyPresence(leagueId, league.teamOwners));
+      }
+
+      socket.emit('draft-status', getDraftSnapshot(leagueId, league));
+    });
+
+    on('assign-team', rejectAssign, async ({ leagueId, teamIndex, inviteCode, ownerToken }) => {
+      const league = await loadLeague(leagueId);
+      if (!league) {
+        rejectAssign({}, apiError('NOT_FOUND', 'League not found.'));
+        return;
+      }
+
+      if (league.draftComplete) {
+        rejectAssign({}, apiError('DRAFT_COMPLETE', 'Draft is already complete. You cannot change teams.'));
+        return;
+      }
+      if (!league.teamNames[teamIndex]) {
+        rejectAssign({}, apiError('NOT_FOUND', 'Team not found.'));
+        return;
+      }
+
+      const existingToken = league.ownerTokens?.[teamIndex];
+      const isReclaim = existingToken && existingToken === ownerToken;
+      if (!isReclaim && league.inviteCode && String(inviteCode || '').toUpperCase() !== league.inviteCode) {
+        rejectAssign({}, apiError('INVALID_INVITE', 'Invalid invite code.'));
+        return;
+      }
+
+      // Claims the team unless someone else holds its token; returns false if it was taken.
+      // A logged-in user also becomes a member and is recorded against the team.
+      const { user } = socket.data;
+      const newToken = generateOwnerToken();
+      const claimTeam = (current) => {
+        const token = current.ownerTokens?.[teamIndex];
+        if (token && token !== ownerToken) return false;
+        current.ownerTokens = { ...(current.ownerTokens || {}), [teamIndex]: token || newToken };
+        current.teamOwners = { ...(current.teamOwners || {}), [teamIndex]: socket.id };
+        if (user) {
+          addMember(current, user.username);
+          current.teamUsers = { ...(current.teamUsers || {}), [teamIndex]: user.username };
+        }
+        return true;
+      };
+
+      if (claimTeam(league)) {
+        let saved;
+        try {
+          saved = await saveLeagueWithRetry(leagueId, league, claimTeam);
+        } catch (err) {
+          console.error('Failed to write league data in assign-team:', err.message);
+          rejectAssign({}, apiError('SAVE_FAILED', 'Failed to assign team on the server.'));
+          return;
+        }
+        if (saved.teamOwners?.[teamIndex] !== socket.id) {
+          rejectAssign({}, apiError('TEAM_TAKEN', 'Team already taken by another user.'));
+          return;
+        }
+        console.log(`Assigned team ${teamIndex} in league ${leagueId} to socket ${socket.id}`);
+        socket.emit('team-assigned', { success: true, teamIndex, ownerToken: saved.ownerTokens[teamIndex] });
+        io.to(leagueRoom(leagueId)).emit('team-owners', getLobbyPresence(leagueId, saved.teamOwners));
+      } else {
+        console.log(`Team ${teamIndex} in league ${leagueId} already taken`);
+        rejectAssign({}, apiError('TEAM_TAKEN', 'Team already taken by another user.'));
+      }
+    });
+
+    const handleQueue = async ({ leagueId, teamIndex, ownerToken }, change) => {
+      const result = await updateQueue(leagueId, teamIndex, { socketId: socket.id, ownerToken }, change);
+      if (result.error) {
+        rejectQueue({ leagueId, teamIndex }, apiError(errorCodeForStatus(result.status), result.error));
+        return;
+      }
+      socket.emit('queue-update', { leagueId, teamIndex, queue: result.queue });
+    };
+
+    on('get-queue', rejectQueue, (payload) => handleQueue(payload));
+    on('set-queue', rejectQueue, (payload) => handleQueue(payload, setQueue(payload.queue)));
+    on('reorder-queue', rejectQueue, (payload) => handleQueue(payload, reorderQueue(payload.fromIndex, payload.toIndex)));
+    on('clear-queue', rejectQueue, (payload) => handleQueue(payload, clearQueue()));
+
+    on('start-draft', rejectSnapshot, async ({ leagueId, commissionerToken }) => {
+      const league = await loadLeague(leagueId);
+      if (!league) {
+        rejectSnapshot({ leagueId }, apiError('NOT_FOUND', 'League not found.'));
+        return;
+      }
+      if (!isLeagueCommissioner(league, { user: socket.data.user, commissionerToken })) {
+        rejectSnapshot({ leagueId }, apiError('FORBIDDEN', 'Only the commissioner can start the draft.'));
+        return;
+      }
+      if (league.isDrafting) {
+        rejectSnapshot({ leagueId }, apiError('DRAFT_STARTED', 'The draft has already started.'));
+        return;
+      }
+      if (league.mode === 'salary-cap') {
+        rejectSnapshot({ leagueId }, apiError('SALARY_CAP_LEAGUE', 'Salary-cap leagues set lineups instead of drafting.'));
+        return;
+      }
+
+      console.log(`Starting draft for league ${leagueId}`);
+      console.log('Before starting draft, availablePlayers:', league.availablePlayers ? league.availablePlayers.map(p => ({ id: p.id, name: p.name })) : 'empty');
+
+      // Check if data is stale (e.g., older than 1 hour)
+      const currentTime = new Date();
+      if (!lastUpdateTime || (currentTime - new Date(lastUpdateTime)) / 1000 / 60 > 60) {
+        console.log('Data is stale, updating field and rankings...');
+        await updateFieldList();
+        await updateRankings();
+        lastUpdateTime = currentTime;
+      }
+
+      // Initialize availablePlayers if not already set
+      if (!league.availablePlayers || league.availablePlayers.length === 0) {
+        const players = await getPlayersFromServer();
+        if (players.length === 0) {
+          console.error('Failed to fetch players from server in start-draft');
+          io.to(leagueRoom(leagueId)).emit('draft-snapshot', {
+            leagueId,
+            error: apiError('PLAYERS_UNAVAILABLE', 'Failed to fetch player data. Please try again.'),
+          });
+          return;
+        }
+        league.availablePlayers = players;
+        console.log('Initialized availablePlayers:', league.availablePlayers.map(p => ({ id: p.id, name: p.name })));
+      }
+
+      league.isDrafting = true;
+      league.draftOrder = buildDraftOrder(league);
+      league.currentTeamIndex = league.draftOrder[0];
+      league.snakeDirection = 1;
+      league.draftComplete = false;
+      league.teams = Array(league.teamNames.length).fill().map(() => []);
+      league.auction = null;
+      if (getDraftSettings(league).type === 'auction') startAuction(league);
+      resetPickDeadline(league);
+      bumpDraftSeq(league);
+
+      console.log('After setting draft state, availablePlayers:', league.availablePlayers.map(p => ({ id: p.id, name: p.name })));
+
+      try {
+        await leagueStore.saveLeague(leagueId, league);
+      } catch (err) {
+        console.error('Failed to write updated league data in start-draft:', err.message);
+        rejectSnapshot({ leagueId }, apiError('SAVE_FAILED', 'Failed to start the draft on the server. Please try again.'));
+        return;
+      }
+      schedulePickTimer(leagueId, league);
+
+      io.to(leagueRoom(leagueId)).emit('draft-snapshot', getDraftSnapshot(leagueId, league));
+    });
+
+    on('draft-pick', rejectPick, async (payload) => {
+      const { leagueId, teamIndex, ownerToken } = payload;
+      const league = await loadLeague(leagueId);
+      if (!league) {
+        rejectPick(payload, apiError('NOT_FOUND', 'League not found.'));
+        return;
+      }
+      if (!isTeamOwner(league, teamIndex, { socketId: socket.id, ownerToken })) {
+        console.log(`Rejected pick: Socket ${socket.id} does not own team ${teamIndex}`);
+        rejectPick(payload, apiError('NOT_TEAM_OWNER', 'You do not own this team.'));
+        return;
+      }
+
+      console.log('Player being drafted:', payload.player);
+      const rejection = getPickRejection(league, teamIndex, payload.player.id);
+      if (rejection) {
+        console.log(`Rejected pick in league ${leagueId} for team ${teamIndex}: ${rejection.code}`);
+        rejectPick(payload, rejection);
+        return;
+      }
+      // Only the id comes from the client; the roster and the pick log keep the pool's copy of the player
+      const player = league.availablePlayers.find(p => String(p.id) === String(payload.player.id));
+
+      console.log(`Received draft-pick: leagueId=${leagueId}, teamIndex=${teamIndex}, player=${player.name}`);
+      const entry = applyPick(league, teamIndex, player);
+      resetPickDeadline(league);
+      bumpDraftSeq(league);
+
+      try {
+        await leagueStore.appendLog(leagueId, league, entry);
+      } catch (err) {
+        console.error('Failed to write updated league data in draft-pick:', err.message);
+        rejectPick(payload, isVersionConflict(err)
+          ? apiError('VERSION_CONFLICT', 'Another pick was saved first. Check the board and try again.')
+          : apiError('SAVE_FAILED', 'Failed to save the pick on the server.'));
+        return;
+      }
+      schedulePickTimer(leagueId, league);
+
+      console.log(`Broadcasting draft-delta ${league.draftSeq}: leagueId=${leagueId}, teamIndex=${teamIndex}, player=${player.name}`);
+      emitDraftDelta(leagueId, league, 'pick', entry);
+      emitQueues(leagueId, league);
+    });
+
+    // Auction nominations and bids share validation, persistence and the broadcast
+    const handleAuctionAction = async ({ leagueId, teamIndex, ownerToken }, action) => {
+      const league = await loadLeague(leagueId);
+      if (!league || !league.isDrafting || league.draftComplete || !league.auction) {
+        rejectAuction({ leagueId }, apiError('NO_AUCTION', 'No auction is running for this league.'));
+        return;
+      }
+      if (!isTeamOwner(league, teamIndex, { socketId: socket.id, ownerToken })) {
+        rejectAuction({ leagueId }, apiError('NOT_TEAM_OWNER', 'You do not own this team.'));
+        return;
+      }
+
+      const result = action(league);
+      if (result.error) {
+        rejectAuction({ leagueId }, apiError('INVALID_BID', result.error));
+        return;
+      }
+      resetPickDeadline(league);
+      bumpDraftSeq(league);
+
+      try {
+        await leagueStore.saveLeague(leagueId, league);
+      } catch (err) {
+        console.error('Failed to write auction data:', err.message);
+        rejectAuction({ leagueId }, apiError('SAVE_FAILED', 'Failed to save on the server.'));
+        return;
+      }
+      schedulePickTimer(leagueId, league);
+      emitDraftDelta(leagueId, league, 'auction');
+    };
+
+    on('nominate-player', rejectAuction, (payload) => handleAuctionAction(
+      payload,
+      league => nominatePlayer(league, payload.teamIndex, payload.playerId, payload.openingBid),
+    ));
+    on('place-bid', rejectAuction, (payload) => handleAuctionAction(
+      payload,
+      league => placeBid(league, payload.teamIndex, payload.amount),
+    ));
+
+    on('undo-pick', rejectUndo, async ({ leagueId, commissionerToken }) => {
+      const league = await loadLeague(leagueId);
+      if (!league) {
+        rejectUndo({}, apiError('NOT_FOUND', 'League not found.'));
+        return;
+      }
+      if (!isLeagueCommissioner(league, { user: socket.data.user, commissionerToken })) {
+        rejectUndo({}, apiError('FORBIDDEN', 'Only the commissioner can undo picks.'));
+        return;
+      }
+
+      const result = undoLastPick(league);
+      if (result.error) {
+        rejectUndo({}, apiError('NOTHING_TO_UNDO', result.error));
+        return;
+      }
+      resetPickDeadline(league);
+      bumpDraftSeq(league);
+
+      try {
+        await leagueStore.appendLog(leagueId, league, result.entry);
+      } catch (err) {
+        console.error('Failed to write updated league data in undo-pick:', err.message);
+        rejectUndo({}, apiError('SAVE_FAILED', 'Failed to undo the pick on the server.'));
+        return;
+      }
+      schedulePickTimer(leagueId, league);
+
+      console.log(`Undid pick ${result.entry.overallPick} in league ${leagueId}: ${result.entry.player.name}`);
+      socket.emit('undo-pick-result', { success: true, undone: result.entry });
+      emitDraftDelta(leagueId, league, 'undo', result.entry);
+    });
+
+    // Clients that missed a delta (seq gap, reconnect) ask for the full state again
+    on('resync', rejectSnapshot, async ({ leagueId, seq }) => {
+      const league = await loadLeague(leagueId);
+      if (!league) {
+        rejectSnapshot({ leagueId }, apiError('NOT_FOUND', 'League not found.'));
+        return;
+      }
+      // Only sockets that were let into the draft room by join-draft
+      if (!socket.rooms.has(leagueRoom(leagueId))) {
+        rejectSnapshot({ leagueId }, apiError('FORBIDDEN', 'Join the draft before resyncing.'));
+        return;
+      }
+      console.log(`Resync for league ${leagueId}: client at ${seq ?? 'unknown'}, server at ${league.draftSeq || 0}`);
+      socket.emit('draft-snapshot', getDraftSnapshot(leagueId, league));
+    });
+
+    const releaseSocket = async () => {
+      console.log('🔴 User disconnected:', socket.id);
+      let leagues = {};
+      try {
+        leagues = await leagueStore.getLeagues();
+      } catch (err) {
+        console.error('Failed to load leagues in disconnect:', err.message);
+      }
+
+      // Returns false when the socket owns nothing in the league
+      const releaseTeams = (league) => {
+        let changed = false;
+        for (const teamIndex in league.teamOwners || {}) {
+          if (league.teamOwners[teamIndex] === socket.id) {
+            delete league.teamOwners[teamIndex];
+            changed = true;
+            // Let the queue draft for the owner if they drop while on the clock
+            if (league.isDrafting && Number(teamIndex) === league.currentTeamIndex && getQueuedPick(league, teamIndex)) {
+              resetPickDeadline(league);
+            }
+          }
+        }
+        return changed;
+      };
+
+      for (const leagueId in leagues) {
+        if (!releaseTeams(leagues[leagueId])) continue;
+        try {
+          leagues[leagueId] = await saveLeagueWithRetry(leagueId, leagues[leagueId], releaseTeams);
+        } catch (err) {
+          console.error('Failed to write league data in disconnect:', err.message);
+          continue;
+        }
+        schedulePickTimer(leagueId, leagues[leagueId]);
+      }
+
+      const { leagueId } = socket.data;
+      if (leagueId !== undefined) {
+        io.to(leagueRoom(leagueId)).emit('user-left', {
+          socketId: socket.id,
+          ...getLobbyPresence(leagueId, leagues[leagueId]?.teamOwners),
+        });
+      }
+    };
+
+    socket.on('disconnect', () => releaseSocket().catch(err => console.error(`Error handling disconnect of ${socket.id}:`, err.message)));
+  });
+
+  // Load league storage, resume any running pick clocks and listen; port 0 picks a free port
+  const start = async (port = 0, host) => {
+    try {
+      await leagueStore.init();
+      await resumePickTimers();
+    } catch (err) {
+      console.error('❌ Failed to initialize league storage:', err.message);
+    }
+    await new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(port, host, resolve);
+    });
+    startScheduler();
+    return server.address().port;
+  };
+
+  // Stop timers, disconnect sockets and release storage so the process (or a test) can exit cleanly
+  const stop = async () => {
+    Object.keys(pickTimers).forEach(clearPickTimer);
+    Object.values(feedTimers).forEach(timer => clearTimeout(timer));
+    const closed = new Promise(resolve => io.close(() => resolve()));
+    // Idle keep-alive HTTP connections would otherwise hold the server open
+    server.closeAllConnections();
+    await closed;
+    await leagueStore.close();
+  };
+
+  return {
+    app, io, server, leagueStore, dataProvider, start, stop,
+  };
+};
@@ -0,0 +1,111 @@
+// Side-game contests run next to leagues, with one entry per member per event:
+// one-and-done (one golfer an event, never the same golfer twice), top-N pick'em
+// and round-leader pools (one golfer a round, scoring when they lead the event after it).
+
+export const CONTEST_TYPES = ['one-and-done', 'pickem', 'round-leader'];
+export const CONTEST_ROUNDS = [1, 2, 3, 4];
+
+const DEFAULT_SETTINGS = {
+  'one-and-done': {},
+  pickem: { picks: 5, topN: 10 },
+  'round-leader': {},
+};
+
+const ROUND_HOLES = 18;
+
+// Keeps only the settings the contest type uses
+export const normalizeContestSettings = (type, settings = {}) => Object.fromEntries(
+  Object.entries(DEFAULT_SETTINGS[type]).map(([key, value]) => [key, settings[key] ?? value]),
+);
+
+// Golfers named per entry; round-leader entries name one per round
+export const getPickCount = (contest) => (contest.type === 'pickem' ? contest.settings.picks : 1);
+
+// 'T5' -> 5; CUT, WD and DQ have no finish
+export const parseFinish = (position) => {
+  const finish = Number.parseInt(String(position ?? '').replace(/^T/, ''), 10);
+  return Number.isFinite(finish) ? finish : null;
+};
+
+// Golfer ids one member already picked in the contest's other events
+export const getUsedPlayerIds = (contest, username, exceptEventId) => new Set(Object.values(contest.events)
+  .filter(event => String(event.eventId) !== String(exceptEventId))
+  .flatMap(event => event.entries[username]?.players || [])
+  .map(player => String(player.id)));
+
+// The part of an entry that has locked: round-leader picks lock round by round, everything else at round 1
+export const getLockedEntry = (contest, entry, lockedRounds) => {
+  if (contest.type !== 'round-leader') return lockedRounds.includes(1) ? entry : null;
+  const rounds = Object.entries(entry.rounds || {}).filter(([round]) => lockedRounds.includes(Number(round)));
+  return rounds.length > 0 ? { ...entry, rounds: Object.fromEntries(rounds) } : null;
+};
+
+const playedHoles = (holesPlayer, round) => (holesPlayer.rounds || [])
+  .find(r => r.round_num === round)?.scores
+  .filter(s => s.score !== null && s.score !== undefined) || [];
+
+// Everyone tied for the lead, by strokes to par, among players who finished rounds 1 through `round`
+export const getRoundLeaders = (holesData, round) => {
+  const rounds = CONTEST_ROUNDS.filter(r => r <= round);
+  const totals = (holesData.players || [])
+    .filter(p => rounds.every(r => playedHoles(p, r).length >= ROUND_HOLES))
+    .map(p => ({
+      id: String(p.dg_id),
+      toPar: rounds.flatMap(r => playedHoles(p, r)).reduce((sum, s) => sum + s.score - s.par, 0),
+    }));
+  const lead = Math.min(...totals.map(t => t.toPar));
+  return totals.filter(t => t.toPar === lead).map(t => t.id);
+};
+
+// One-and-done picks score a point per golfer they finish ahead of plus one, so the winner of a
+// 150-player field scores 150 and a missed cut scores nothing. Pick'em picks score 1 for a top-N finish
+// (ties included) and round-leader picks 1 for leading after their round.
+// Returns { [username]: { points, picks } } for the locked part of each entry.
+export const scoreContestEvent = (contest, event, {
+  statsData, holesData, lockedRounds, finishedRounds,
+}) => {
+  const statsById = new Map((statsData.live_stats || []).map(p => [String(p.dg_id), p]));
+  const leaders = Object.fromEntries(finishedRounds.map(round => [round, getRoundLeaders(holesData, round)]));
+
+  const scorePick = (player, round = null) => {
+    const position = statsById.get(String(player.id))?.position ?? null;
+    const finish = parseFinish(position);
+    let points = 0;
+    if (contest.type === 'one-and-done') points = finish === null ? 0 : Math.max(0, statsById.size + 1 - finish);
+    if (contest.type === 'pickem') points = finish !== null && finish <= contest.settings.topN ? 1 : 0;
+    if (contest.type === 'round-leader') points = leaders[round]?.includes(String(player.id)) ? 1 : 0;
+    return {
+      ...player, ...(round && { round, decided: round in leaders }), position, points,
+    };
+  };
+
+  const results = {};
+  Object.entries(event.entries).forEach(([username, entry]) => {
+    const locked = getLockedEntry(contest, entry, lockedRounds);
+    if (!locked) return;
+    const picks = contest.type === 'round-leader'
+      ? Object.entries(locked.rounds).map(([round, player]) => scorePick(player, Number(round)))
+      : locked.players.map(player => scorePick(player));
+    results[username] = { points: picks.reduce((sum, p) => sum + p.points, 0), picks };
+  });
+  return results;
+};
+
+// Season-long totals over every scored event; more points is better in every contest type
+export const getContestStandings = (contest) => {
+  const events = Object.values(contest.events).filter(event => event.results);
+  const entrants = contest.members.map(username => {
+    const byEvent = events.map(event => ({
+      eventId: event.eventId,
+      eventName: event.eventName,
+      final: event.final,
+      points: event.results[username]?.points ?? 0,
+    }));
+    return { username, points: byEvent.reduce((sum, e) => sum + e.points, 0), events: byEvent };
+  });
+  const sorted = entrants.sort((a, b) => b.points - a.points || a.username.localeCompare(b.username));
+  sorted.forEach((entrant, i) => {
+    entrant.rank = i > 0 && sorted[i - 1].points === entrant.points ? sorted[i - 1].rank : i + 1;
+  });
+  return sorted;
+};
@@ -0,0 +1,118 @@
+// Head-to-head leagues: a round-robin schedule over the regular periods, then a seeded bracket playoff.
+// A period is one tournament round or, for season leagues, one scheduled event.
+
+export const HEAD_TO_HEAD_PERIODS = ['round', 'event'];
+export const PLAYOFF_SIZES = [0, 2, 4, 8];
+
+export const countPlayoffRounds = (playoffTeams) => (playoffTeams ? Math.log2(playoffTeams) : 0);
+
+// Circle method: team 0 stays put while the rest rotate, so everyone meets once per cycle.
+// An odd team count adds a bye slot (null).
+export const buildRoundRobin = (teamCount, periods) => {
+  const slots = [...Array(teamCount).keys()];
+  if (teamCount % 2 === 1) slots.push(null);
+  const [fixed, ...rest] = slots;
+  return Array.from({ length: periods }, (_, period) => {
+    const shift = period % rest.length;
+    const order = [fixed, ...rest.map((__, i) => rest[(i + rest.length - shift) % rest.length])];
+    return Array.from({ length: order.length / 2 }, (__, i) => [order[i], order[order.length - 1 - i]])
+      .map(pair => (pair[0] === null ? [pair[1], null] : pair));
+  });
+};
+
+// Lower wins in strokes leagues, higher in points leagues; 0 is a tie
+const compareScores = (format, a, b) => (format === 'points' ? b - a : a - b);
+
+// Teams are [teamIndex, teamIndex | null]; period is { status, scores } with scores indexed by team
+const playMatchup = (teams, period, format) => {
+  if (teams[1] === null) return { teams, scores: [null, null], status: period.status, bye: true, winner: null, tie: false };
+  // A playoff slot still waiting on an earlier round
+  if (teams.includes(undefined)) {
+    return { teams: teams.map(t => t ?? null), scores: [null, null], status: 'upcoming', winner: null, tie: false };
+  }
+  const scores = teams.map(teamIndex => period.scores?.[teamIndex] ?? null);
+  const decided = period.status === 'final' && scores.every(s => s !== null);
+  const order = decided ? compareScores(format, scores[0], scores[1]) : 0;
+  return {
+    teams,
+    scores,
+    status: period.status,
+    winner: decided && order !== 0 ? teams[order < 0 ? 0 : 1] : null,
+    tie: decided && order === 0,
+  };
+};
+
+const winPct = (r) => (r.wins + r.ties / 2) / Math.max(1, r.wins + r.losses + r.ties);
+
+// periods lists every period in order as { label, status: 'upcoming' | 'live' | 'final', scores }
+export const buildHeadToHead = ({
+  settings, teamNames, periods, format,
+}) => {
+  const playoffRoundCount = countPlayoffRounds(settings.playoffTeams);
+  const regularCount = periods.length - playoffRoundCount;
+  const schedule = buildRoundRobin(teamNames.length, regularCount);
+
+  const regular = schedule.map((pairs, i) => ({
+    period: i + 1,
+    label: periods[i].label,
+    status: periods[i].status,
+    playoff: false,
+    matchups: pairs.map(teams => playMatchup(teams, periods[i], format)),
+  }));
+
+  const records = teamNames.map((teamName, teamIndex) => ({
+    teamIndex, teamName, wins: 0, losses: 0, ties: 0, pointsFor: 0,
+  }));
+  regular.flatMap(p => p.matchups).filter(m => !m.bye && m.status === 'final' && (m.winner !== null || m.tie)).forEach(m => {
+    m.teams.forEach((teamIndex, side) => {
+      const record = records[teamIndex];
+      record.pointsFor += m.scores[side];
+      if (m.tie) record.ties++;
+      else if (m.winner === teamIndex) record.wins++;
+      else record.losses++;
+    });
+  });
+  const ranked = [...records].sort((a, b) => winPct(b) - winPct(a)
+    || compareScores(format, a.pointsFor, b.pointsFor)
+    || a.teamIndex - b.teamIndex);
+  ranked.forEach((record, i) => { record.rank = i + 1; });
+
+  // Seeds are set once the regular season is over; a tied playoff game goes to the higher seed
+  const seeded = regular.every(p => p.status === 'final');
+  const seeds = seeded ? ranked.slice(0, settings.playoffTeams).map(r => r.teamIndex) : [];
+  const playoffRounds = [];
+  let bracket = seeds.length > 0 ? seeds : Array(settings.playoffTeams).fill(undefined);
+  for (let round = 0; round < playoffRoundCount; round++) {
+    const periodIndex = regularCount + round;
+    const pairs = Array.from({ length: bracket.length / 2 }, (_, i) => [bracket[i], bracket[bracket.length - 1 - i]]);
+    const matchups = pairs.map(teams => {
+      const matchup = playMatchup(teams, periods[periodIndex], format);
+      if (matchup.tie) matchup.winner = seeds.indexOf(teams[0]) < seeds.indexOf(teams[1]) ? teams[0] : teams[1];
+      return matchup;
+    });
+    playoffRounds.push({
+      period: periodIndex + 1,
+      label: periods[periodIndex].label,
+      status: periods[periodIndex].status,
+      playoff: true,
+      matchups,
+    });
+    bracket = matchups.map(m => m.winner ?? undefined);
+  }
+
+  const allPeriods = [...regular, ...playoffRounds];
+  const current = allPeriods.find(p => p.status === 'live') || allPeriods.find(p => p.status === 'upcoming') || null;
+  return {
+    period: settings.period,
+    regularPeriods: regularCount,
+    playoffTeams: settings.playoffTeams,
+    currentPeriod: current?.period ?? null,
+    periods: allPeriods,
+    records: ranked,
+    playoff: {
+      seeds,
+      // Without a playoff the best regular-season record wins
+      champion: playoffRoundCount > 0 ? (bracket[0] ?? null) : (seeded ? ranked[0].teamIndex : null),
+    },
+  };
+};
@@ -0,0 +1,44 @@
+import 'dotenv/config';
+import { readJsonFile, createPostgresLeagueStore } from './storage.js';
+
+// Import an existing leagues.json and users.json into Postgres, keeping league and contest IDs,
+// usernames, password hashes and login tokens
+// Usage: DATABASE_URL=postgres://... npm run migrate [-- path/to/leagues.json [path/to/users.json]]
+const filePath = process.argv[2] || './data/leagues.json';
+const usersPath = process.argv[3] || filePath.replace(/[^/]+$/, 'users.json');
+
+const migrate = async () => {
+  if (!process.env.DATABASE_URL) {
+    console.error('DATABASE_URL must be set to migrate leagues to Postgres');
+    process.exit(1);
+  }
+
+  const { leagues = {}, contests = {} } = readJsonFile(filePath, { leagues: {} });
+  const { users = {} } = readJsonFile(usersPath, { users: {} });
+  const store = createPostgresLeagueStore(process.env.DATABASE_URL);
+  try {
+    await store.init();
+    // Leagues name their commissioner and members by username, so the accounts come over first
+    for (const username in users) {
+      await store.importUser(users[username]);
+      console.log(`Imported user ${username}`);
+    }
+    for (const leagueId in leagues) {
+      await store.importLeague(leagueId, leagues[leagueId]);
+      console.log(`Imported league ${leagueId}`);
+    }
+    for (const contestId in contests) {
+      await store.importContest(contestId, contests[contestId]);
+      console.log(`Imported contest ${contestId}`);
+    }
+    console.log(`✅ Imported ${Object.keys(users).length} users from ${usersPath}`);
+    console.log(`✅ Imported ${Object.keys(leagues).length} leagues and ${Object.keys(contests).length} contests from ${filePath}`);
+  } catch (err) {
+    console.error('❌ Migration failed:', err.message);
+    process.exitCode = 1;
+  } finally {
+    await store.close();
+  }
+};
+
+migrate();
@@ -0,0 +1,181 @@
+// Player registry: one profile per dg_id merged from field, rankings, live stats and hole data
+
+const FUZZY_MIN_SCORE = 0.75;
+
+// "Åberg, Ludvig" and "ludvig aberg" both become ['ludvig', 'aberg']
+export const nameTokens = (name) => {
+  if (!name) return [];
+  const plain = name.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+  const [last, first] = plain.includes(',') ? plain.split(',', 2) : [plain, ''];
+  return `${first} ${last}`.replace(/[^a-z0-9\s-]/g, '').split(/[\s-]+/).filter(Boolean);
+};
+
+const levenshtein = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// 1 for an exact match, just under for prefixes ("scheff"), then edit-distance similarity for typos
+const matchScore = (queryTokens, playerTokens) => {
+  const query = queryTokens.join(' ');
+  const full = playerTokens.join(' ');
+  const reversed = [...playerTokens].reverse().join(' ');
+  if (query === full || query === reversed) return 1;
+  if (queryTokens.every(q => playerTokens.some(t => t.startsWith(q)))) return 0.9;
+  const distance = Math.min(levenshtein(query, full), levenshtein(query, reversed));
+  return 1 - distance / Math.max(query.length, full.length);
+};
+
+const externalId = (id) => (id == null || id === 'n/a' || id === '' ? null : String(id));
+
+export const buildPlayerRegistry = ({ fieldData, rankingsData, statsData, holesData }) => {
+  const players = new Map();
+  const getProfile = (dgId, name) => {
+    const key = Number(dgId);
+    if (!players.has(key)) {
+      players.set(key, {
+        dgId: key,
+        name,
+        country: null,
+        amateur: false,
+        ids: { dg: key, dk: null, fd: null, yh: null, pga: null },
+        ranking: null,
+        event: null,
+        live: null,
+      });
+    }
+    return players.get(key);
+  };
+
+  (rankingsData.rankings || []).forEach(r => {
+    const profile = getProfile(r.dg_id, r.player_name);
+    profile.country = r.country || profile.country;
+    profile.amateur = Boolean(r.am);
+    profile.ranking = {
+      dgRank: r.datagolf_rank ?? null,
+      owgrRank: r.owgr_rank ?? null,
+      skillEstimate: r.dg_skill_estimate ?? null,
+      primaryTour: r.primary_tour || null,
+    };
+  });
+
+  (fieldData.field || []).forEach(p => {
+    const profile = getProfile(p.dg_id, p.player_name);
+    profile.name = p.player_name || profile.name;
+    profile.country = p.country || profile.country;
+    profile.amateur = Boolean(p.am);
+    profile.ids = {
+      ...profile.ids,
+      dk: externalId(p.dk_id),
+      fd: externalId(p.fd_id),
+      yh: externalId(p.yh_id),
+      pga: externalId(p.pga_number),
+    };
+    profile.event = {
+      eventId: fieldData.event_id ?? null,
+      eventName: fieldData.event_name || null,
+      course: p.course || null,
+      startHole: p.start_hole ?? null,
+      teeTimes: [1, 2, 3, 4].map(round => p[`r${round}_teetime`] || null),
+      salaries: { dk: p.dk_salary || null, fd: p.fd_salary || null, yh: p.yh_salary || null },
+    };
+  });
+
+  // Live feeds only describe the event in field.json while it is on
+  const sameEvent = (data) => !data.event_name || !fieldData.event_name || data.event_name === fieldData.event_name;
+  if (sameEvent(statsData)) {
+    (statsData.live_stats || []).forEach(s => {
+      const profile = getProfile(s.dg_id, s.player_name);
+      profile.live = { ...profile.live, position: s.position ?? null, total: s.total ?? null, thru: s.thru ?? null };
+    });
+  }
+  if (sameEvent(holesData)) {
+    (holesData.players || []).forEach(h => {
+      const profile = getProfile(h.dg_id, h.player_name);
+      profile.live = {
+        ...profile.live,
+        currentRound: holesData.current_round ?? null,
+        roundsStarted: (h.rounds || []).filter(r => r.scores?.length > 0).length,
+      };
+    });
+  }
+
+  const tokens = new Map([...players.values()].map(p => [p.dgId, nameTokens(p.name)]));
+  const byRank = (a, b) => (a.ranking?.dgRank ?? Infinity) - (b.ranking?.dgRank ?? Infinity) || a.name.localeCompare(b.name);
+
+  return {
+    get: (dgId) => players.get(Number(dgId)) || null,
+    all: () => [...players.values()].sort(byRank),
+    inField: () => [...players.values()].filter(p => p.event).sort(byRank),
+    findByExternalId: (site, id) => [...players.values()].find(p => p.ids[site] != null && p.ids[site] === String(id)) || null,
+    search: (query, candidates = [...players.values()]) => {
+      const queryTokens = nameTokens(query);
+      if (queryTokens.length === 0) return [];
+      return candidates
+        .map(p => ({ player: p, score: matchScore(queryTokens, tokens.get(p.dgId)) }))
+        .filter(m => m.score >= FUZZY_MIN_SCORE)
+        .sort((a, b) => b.score - a.score || byRank(a.player, b.player))
+        .map(m => ({ ...m.player, matchScore: Math.round(m.score * 100) / 100 }));
+    },
+  };
+};
+
+const SCORECARD_STATS = ['sg_ott', 'sg_app', 'sg_putt', 'gir', 'scrambling'];
+
+const countScores = (holes) => {
+  const counts = { eaglesOrBetter: 0, birdies: 0, pars: 0, bogeys: 0, doubleBogeysOrWorse: 0 };
+  holes.forEach(({ toPar }) => {
+    if (toPar <= -2) counts.eaglesOrBetter++;
+    else if (toPar === -1) counts.birdies++;
+    else if (toPar === 0) counts.pars++;
+    else if (toPar === 1) counts.bogeys++;
+    else counts.doubleBogeysOrWorse++;
+  });
+  return counts;
+};
+
+// One golfer's holes.json rounds plus their live stats line, with running to-par totals
+export const buildScorecard = (holesPlayer, statsPlayer) => {
+  let eventToPar = 0;
+  const rounds = (holesPlayer?.rounds || []).map(round => {
+    let roundToPar = 0;
+    const holes = round.scores
+      .filter(s => s.score !== null && s.score !== undefined)
+      .map(({ hole, par, score }) => {
+        roundToPar += score - par;
+        eventToPar += score - par;
+        return { hole, par, score, toPar: score - par, roundToPar, eventToPar };
+      });
+    return {
+      round: round.round_num,
+      course: round.course || null,
+      holesPlayed: holes.length,
+      strokes: holes.reduce((sum, h) => sum + h.score, 0),
+      toPar: roundToPar,
+      counts: countScores(holes),
+      holes,
+    };
+  });
+
+  const allHoles = rounds.flatMap(r => r.holes);
+  return {
+    position: statsPlayer?.position ?? null,
+    thru: statsPlayer?.thru ?? null,
+    total: statsPlayer?.total ?? null,
+    stats: Object.fromEntries(SCORECARD_STATS.map(stat => [stat, statsPlayer?.[stat] ?? null])),
+    totals: {
+      holesPlayed: allHoles.length,
+      strokes: rounds.reduce((sum, r) => sum + r.strokes, 0),
+      toPar: eventToPar,
+      counts: countScores(allHoles),
+    },
+    rounds,
+  };
+};
@@ -0,0 +1,140 @@
+import fetch from 'node-fetch';
+import { readJsonFile } from './storage.js';
+
+// Data providers: every provider resolves the same five DataGolf-shaped payloads
+// getHoleByHole, getLiveStats, getPreds, getFieldList, getRankings
+
+const DATAGOLF_BASE_URL = 'https://feeds.datagolf.com';
+
+export const createDataGolfProvider = (apiKey) => {
+  const get = async (path, params) => {
+    if (!apiKey) throw new Error('DATAGOLF_API_KEY is not set');
+    const query = new URLSearchParams({ ...params, key: apiKey });
+    const res = await fetch(`${DATAGOLF_BASE_URL}${path}?${query}`);
+    if (!res.ok) throw new Error(`DataGolf ${path} responded ${res.status}`);
+    return res.json();
+  };
+
+  return {
+    name: 'datagolf',
+    getHoleByHole: () => get('/preds/live-hole-scores', { file_format: 'json' }),
+    getLiveStats: () => get('/preds/live-tournament-stats', {
+      stats: 'sg_ott,distance,accuracy,sg_app,gir,prox_fw,sg_putt,scrambling',
+      round: 'event_avg',
+      display: 'value',
+    }),
+    getPreds: () => get('/preds/in-play', { tour: 'pga', dead_heat: 'no', odds_format: 'percent' }),
+    getFieldList: () => get('/field-updates', { tour: 'pga', file_format: 'json' }),
+    getRankings: () => get('/preds/dg-rankings', { file_format: 'json' }),
+  };
+};
+
+// Hole results relative to par and how often they come up
+const SIMULATED_SCORES = [[-2, 0.01], [-1, 0.18], [0, 0.62], [1, 0.16], [2, 0.03]];
+const SIMULATED_ROUNDS = 4;
+
+// Small seeded PRNG so simulated runs can be repeated in tests
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+const randomToPar = (random) => {
+  let roll = random();
+  for (const [toPar, chance] of SIMULATED_SCORES) {
+    if (roll < chance) return toPar;
+    roll -= chance;
+  }
+  return 0;
+};
+
+// Plays `holes` more holes for every player, moving to the next round once the whole field has finished
+const simulateHoles = (holesData, holes, random) => {
+  const pars = new Map();
+  holesData.players.forEach(p => p.rounds.forEach(r => r.scores.forEach(s => pars.set(`${r.course}-${s.hole}`, s.par))));
+
+  // DataGolf lists all 18 holes of a round up front, with score null until the hole is played
+  const currentRounds = () => holesData.players.map(p => {
+    const roundNum = holesData.current_round || 1;
+    let round = p.rounds.find(r => r.round_num === roundNum);
+    if (!round) {
+      const course = p.rounds[p.rounds.length - 1]?.course || null;
+      const scores = Array.from({ length: 18 }, (_, i) => ({ hole: i + 1, par: pars.get(`${course}-${i + 1}`) || 4, score: null }));
+      round = { course, round_num: roundNum, scores };
+      p.rounds.push(round);
+    }
+    return round;
+  });
+
+  const holesPlayed = (round) => round.scores.filter(s => s.score !== null && s.score !== undefined).length;
+
+  for (let i = 0; i < holes; i++) {
+    let rounds = currentRounds();
+    if (rounds.every(r => holesPlayed(r) >= 18)) {
+      if ((holesData.current_round || 1) >= SIMULATED_ROUNDS) break;
+      holesData.current_round = (holesData.current_round || 1) + 1;
+      rounds = currentRounds();
+    }
+    rounds.filter(r => holesPlayed(r) < 18).forEach(r => {
+      const next = r.scores.find(s => s.score === null || s.score === undefined);
+      if (next) {
+        next.score = Math.max(1, next.par + randomToPar(random));
+        return;
+      }
+      // Older snapshots only list the holes played so far
+      const hole = r.scores.length + 1;
+      const par = pars.get(`${r.course}-${hole}`) || 4;
+      r.scores.push({ hole, par, score: Math.max(1, par + randomToPar(random)) });
+    });
+  }
+  holesData.last_update = new Date().toISOString();
+  return holesData;
+};
+
+// Replays the JSON files in dataPath; with simulate set, each hole-by-hole update plays more holes
+export const createFileProvider = ({ dataPath, simulate = null }) => {
+  const read = (file, defaultValue) => structuredClone(readJsonFile(`${dataPath}/${file}`, defaultValue));
+  const random = createRandom(simulate?.seed ?? Date.now());
+  let holesData = null;
+
+  return {
+    name: simulate ? 'simulated' : 'file',
+    getHoleByHole: async () => {
+      if (!simulate) return read('holes.json', { players: [] });
+      holesData = holesData || read('holes.json', { players: [] });
+      return structuredClone(simulateHoles(holesData, simulate.holesPerUpdate || 1, random));
+    },
+    getLiveStats: async () => read('live_tournament_stats.json', { live_stats: [] }),
+    getPreds: async () => read('preds.json', []),
+    getFieldList: async () => read('field.json', { field: [] }),
+    getRankings: async () => read('rankings.json', { rankings: [] }),
+  };
+};
+
+// DATA_PROVIDER picks the feed: 'datagolf', 'file' or 'simulated'; without it, DataGolf is used when a key is set
+export const createDataProvider = (dataPath) => {
+  const name = process.env.DATA_PROVIDER || (process.env.DATAGOLF_API_KEY ? 'datagolf' : 'file');
+  const sourcePath = process.env.DATA_PROVIDER_PATH || dataPath;
+  switch (name) {
+    case 'datagolf':
+      return createDataGolfProvider(process.env.DATAGOLF_API_KEY);
+    case 'file':
+      return createFileProvider({ dataPath: sourcePath });
+    case 'simulated':
+      return createFileProvider({
+        dataPath: sourcePath,
+        simulate: {
+          holesPerUpdate: Number(process.env.SIMULATE_HOLES_PER_UPDATE) || 1,
+          seed: process.env.SIMULATE_SEED ? Number(process.env.SIMULATE_SEED) : undefined,
+        },
+      });
+    default:
+      throw new Error(`Unknown DATA_PROVIDER ${name}`);
+  }
+};
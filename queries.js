@@ -0,0 +1,97 @@
+// Filtering, sorting, field selection and pagination over a feed's player rows
+// ?dg_id=1,2&round=2&position=1-10&sort=-sg_app&fields=player_name,sg_app&limit=20&offset=40
+
+const QUERY_PARAMS = ['dg_id', 'round', 'position', 'sort', 'fields', 'limit', 'offset'];
+const MAX_PAGE_SIZE = 500;
+
+export const hasFeedQuery = (query) => QUERY_PARAMS.some(param => query[param] !== undefined);
+
+const parseList = (value) => String(value).split(',').map(v => v.trim()).filter(Boolean);
+
+// 'T5' -> 5, 'CUT' -> null
+const parsePosition = (position) => {
+  const value = parseInt(String(position ?? '').replace(/^T/, ''), 10);
+  return Number.isNaN(value) ? null : value;
+};
+
+const getPosition = (row) => parsePosition(row.position ?? row.current_pos);
+
+const parseRange = (value) => {
+  const match = /^(\d+)(?:-(\d+))?$/.exec(String(value));
+  return match ? { min: Number(match[1]), max: Number(match[2] ?? match[1]) } : null;
+};
+
+const parseCount = (value, name, { min, max }) => {
+  const count = Number(value);
+  if (!Number.isInteger(count) || count < min || (max && count > max)) {
+    return { error: `${name} must be an integer from ${min}${max ? ` to ${max}` : ' up'}.` };
+  }
+  return { count };
+};
+
+// Missing values sort last in either direction
+const compareValues = (a, b, descending) => {
+  if (a == null || b == null) return (a == null) - (b == null);
+  const order = typeof a === 'number' && typeof b === 'number' ? a - b : String(a).localeCompare(String(b));
+  return descending ? -order : order;
+};
+
+// rowsKey names the player array in the feed ('players', 'live_stats', ...), null when the feed is the array
+export const queryFeed = (data, rowsKey, query) => {
+  // A repeated parameter (?sort=a&sort=b) or a bracketed one arrives as an array or object instead of a string
+  const malformed = QUERY_PARAMS.find(param => query[param] !== undefined && typeof query[param] !== 'string');
+  if (malformed) return { error: `${malformed} must be given once; separate lists with commas.` };
+
+  const source = rowsKey ? data?.[rowsKey] : data;
+  let rows = Array.isArray(source) ? source : [];
+
+  if (query.dg_id !== undefined) {
+    const ids = new Set(parseList(query.dg_id).map(Number));
+    rows = rows.filter(r => ids.has(r.dg_id));
+  }
+
+  if (query.round !== undefined) {
+    const { count: round, error } = parseCount(query.round, 'round', { min: 1, max: 4 });
+    if (error) return { error };
+    rows = rows.map(r => (Array.isArray(r.rounds) ? { ...r, rounds: r.rounds.filter(x => x.round_num === round) } : r));
+  }
+
+  if (query.position !== undefined) {
+    const range = parseRange(query.position);
+    if (!range) return { error: 'position must be a finishing position or range like 1-10.' };
+    rows = rows.filter(r => {
+      const position = getPosition(r);
+      return position !== null && position >= range.min && position <= range.max;
+    });
+  }
+
+  if (query.sort !== undefined) {
+    const descending = query.sort.startsWith('-');
+    const key = query.sort.replace(/^-/, '');
+    const value = ['position', 'current_pos'].includes(key) ? getPosition : (r) => r[key];
+    rows = [...rows].sort((a, b) => compareValues(value(a), value(b), descending));
+  }
+
+  const total = rows.length;
+  let offset = 0;
+  let limit = total;
+  if (query.offset !== undefined) {
+    const parsed = parseCount(query.offset, 'offset', { min: 0 });
+    if (parsed.error) return { error: parsed.error };
+    offset = parsed.count;
+  }
+  if (query.limit !== undefined) {
+    const parsed = parseCount(query.limit, 'limit', { min: 1, max: MAX_PAGE_SIZE });
+    if (parsed.error) return { error: parsed.error };
+    limit = parsed.count;
+  }
+  rows = rows.slice(offset, offset + limit);
+
+  if (query.fields !== undefined) {
+    const fields = ['dg_id', ...parseList(query.fields)];
+    rows = rows.map(r => Object.fromEntries(fields.filter(f => f in r).map(f => [f, r[f]])));
+  }
+
+  const pagination = { total, offset, limit, count: rows.length };
+  return { result: rowsKey ? { ...data, [rowsKey]: rows, pagination } : { data: rows, pagination } };
+};
@@ -0,0 +1,631 @@
+import fs from 'fs';
+import crypto from 'crypto';
+import fetch from 'node-fetch';
+import pg from 'pg';
+
+const { Pool } = pg;
+
+const GITHUB_REPO = process.env.GITHUB_REPO;
+const GITHUB_FILE_PATH = process.env.GITHUB_FILE_PATH;
+// Accounts are mirrored next to leagues.json, since leagues name their commissioner and members by username
+const GITHUB_USERS_FILE_PATH = process.env.GITHUB_USERS_FILE_PATH || `${(GITHUB_FILE_PATH || '').replace(/[^/]*$/, '')}users.json`;
+const GITHUB_TOKEN = process.env.GITHUB_TOKEN;
+
+const githubApiUrl = (githubPath) => `https://api.github.com/repos/${GITHUB_REPO}/contents/${githubPath}`;
+
+const lastSyncTimes = {}; // GitHub path -> last successful sync
+const SYNC_INTERVAL = 60000; // Sync each file every 60 seconds at most
+
+export const readJsonFile = (filePath, defaultValue = {}) => {
+  try {
+    if (!fs.existsSync(filePath)) {
+      fs.writeFileSync(filePath, JSON.stringify(defaultValue, null, 2));
+    }
+    return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch (err) {
+    console.error(`Error reading ${filePath}:`, err.message);
+    return defaultValue;
+  }
+};
+
+let tempFileCount = 0;
+
+// Write to a temp file and rename over the target so readers never see a half-written file
+export const writeJsonFile = (filePath, data) => {
+  const tempPath = `${filePath}.${process.pid}.${tempFileCount++}.tmp`;
+  try {
+    fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+    fs.renameSync(tempPath, filePath);
+    console.log(`${filePath} updated successfully`);
+  } catch (err) {
+    console.error(`Error writing to ${filePath}:`, err.message);
+    fs.rmSync(tempPath, { force: true });
+    throw err;
+  }
+};
+
+const syncFileToGitHub = async (filePath, githubPath, defaultValue) => {
+  const now = new Date();
+  const lastSyncTime = lastSyncTimes[githubPath];
+  if (lastSyncTime && (now - lastSyncTime) < SYNC_INTERVAL) {
+    console.log(`Skipping GitHub sync of ${githubPath} due to rate limiting`);
+    return;
+  }
+
+  const contents = readJsonFile(filePath, defaultValue);
+  try {
+    const current = await fetch(githubApiUrl(githubPath), {
+      headers: { Authorization: `Bearer ${GITHUB_TOKEN}` },
+    }).then((res) => res.json());
+
+    const res = await fetch(githubApiUrl(githubPath), {
+      method: 'PUT',
+      headers: {
+        Authorization: `Bearer ${GITHUB_TOKEN}`,
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({
+        message: `Sync ${githubPath} from Render`,
+        content: Buffer.from(JSON.stringify(contents, null, 2)).toString('base64'),
+        sha: current.sha,
+      }),
+    });
+
+    if (!res.ok) throw new Error(`GitHub sync failed: ${res.status}`);
+    console.log(`✅ Synced ${githubPath} to GitHub`);
+    lastSyncTimes[githubPath] = now;
+  } catch (err) {
+    console.error(`❌ GitHub sync error for ${githubPath}:`, err.message);
+  }
+};
+
+const restoreFileFromGitHub = async (filePath, githubPath) => {
+  try {
+    const res = await fetch(githubApiUrl(githubPath), {
+      headers: { Authorization: `Bearer ${GITHUB_TOKEN}` },
+    });
+
+    if (!res.ok) throw new Error(`GitHub fetch failed: ${res.status}`);
+    const data = await res.json();
+    const decoded = Buffer.from(data.content, 'base64').toString('utf-8');
+    writeJsonFile(filePath, JSON.parse(decoded));
+    console.log(`✅ Restored ${githubPath} from GitHub`);
+  } catch (err) {
+    console.error(`❌ Failed to restore ${githubPath}:`, err.message);
+  }
+};
+
+// League stores share one async interface so route handlers don't care where leagues live:
+// init, getLeagues, getLeague, createLeague, saveLeague, appendLog, close.
+// appendLog saves the league together with a new league.pickLog entry (picks, undos, trades, adds and drops).
+// Side-game contests are kept by the same store: getContests, getContest, createContest, saveContest, deleteContest.
+
+// File backend for local development, mirrored to GitHub like before
+// Every league carries a version that each save bumps. Saving a league loaded at an older version
+// throws an error with code VERSION_CONFLICT instead of overwriting the newer copy.
+export const isVersionConflict = (err) => err?.code === 'VERSION_CONFLICT';
+// Saves only update; a league or contest deleted since it was loaded stays deleted
+export const isNotFound = (err) => err?.code === 'NOT_FOUND';
+
+const userExists = (username) => {
+  const err = new Error(`User ${username} already exists`);
+  err.code = 'USER_EXISTS';
+  return err;
+};
+
+const notFound = (id, kind = 'League') => {
+  const err = new Error(`${kind} ${id} no longer exists`);
+  err.code = 'NOT_FOUND';
+  return err;
+};
+
+const versionConflict = (id, version, kind = 'League') => {
+  const err = new Error(`${kind} ${id} was changed by another request`);
+  err.code = 'VERSION_CONFLICT';
+  err.version = version;
+  return err;
+};
+
+// Users live next to the leagues file in users.json unless a path is given.
+// githubSync mirrors both files to GITHUB_REPO; it defaults to on when a repo is configured.
+export const createFileLeagueStore = (
+  filePath,
+  usersPath = filePath.replace(/[^/]+$/, 'users.json'),
+  { githubSync = Boolean(GITHUB_REPO) } = {},
+) => {
+  const sync = () => {
+    if (githubSync) syncFileToGitHub(filePath, GITHUB_FILE_PATH, { leagues: {} });
+  };
+  const syncUsers = () => {
+    if (githubSync) syncFileToGitHub(usersPath, GITHUB_USERS_FILE_PATH, { users: {} });
+  };
+  const read = () => readJsonFile(filePath, { leagues: {} });
+  // Ids come from requests, so only the map's own keys count ('constructor' is not a league)
+  const own = (map, key) => (map && Object.hasOwn(map, key) ? map[key] : null);
+  const readUsers = () => readJsonFile(usersPath, { users: {} });
+
+  // Writes run one at a time, each re-reading the file the previous one left behind
+  let writeQueue = Promise.resolve();
+  const enqueue = (work) => {
+    const result = writeQueue.then(work);
+    writeQueue = result.catch(() => {});
+    return result;
+  };
+
+  const saveLeague = (leagueId, league) => enqueue(() => {
+    const data = read();
+    const stored = own(data.leagues, leagueId);
+    if (!stored) throw notFound(leagueId);
+    const currentVersion = stored.version || 0;
+    if (currentVersion !== (league.version || 0)) throw versionConflict(leagueId, currentVersion);
+    const version = currentVersion + 1;
+    data.leagues[leagueId] = { ...league, version };
+    writeJsonFile(filePath, data);
+    league.version = version;
+    sync();
+  });
+
+  // Contests live in the leagues file under `contests`, so they are mirrored to GitHub with the leagues
+  const saveContest = (contestId, contest) => enqueue(() => {
+    const data = read();
+    const stored = own(data.contests, contestId);
+    if (!stored) throw notFound(contestId, 'Contest');
+    const currentVersion = stored.version || 0;
+    if (currentVersion !== (contest.version || 0)) throw versionConflict(contestId, currentVersion, 'Contest');
+    const version = currentVersion + 1;
+    data.contests[contestId] = { ...contest, version };
+    writeJsonFile(filePath, data);
+    contest.version = version;
+    sync();
+  });
+
+  return {
+    init: async () => {
+      if (!githubSync) return;
+      await restoreFileFromGitHub(filePath, GITHUB_FILE_PATH);
+      await restoreFileFromGitHub(usersPath, GITHUB_USERS_FILE_PATH);
+    },
+    getLeagues: async () => read().leagues,
+    getLeague: async (leagueId) => own(read().leagues, leagueId),
+    createLeague: (league) => enqueue(() => {
+      const data = read();
+      const nextId = Math.max(0, ...Object.keys(data.leagues).map(Number)) + 1;
+      data.leagues[nextId] = { ...league, version: 1 };
+      writeJsonFile(filePath, data);
+      league.version = 1;
+      sync();
+      return nextId;
+    }),
+    saveLeague,
+    // The entry is already on league.pickLog
+    appendLog: (leagueId, league) => saveLeague(leagueId, league),
+    deleteLeague: (leagueId) => enqueue(() => {
+      const data = read();
+      delete data.leagues[leagueId];
+      writeJsonFile(filePath, data);
+      sync();
+    }),
+    getContests: async () => read().contests || {},
+    getContest: async (contestId) => own(read().contests, contestId),
+    createContest: (contest) => enqueue(() => {
+      const data = read();
+      data.contests = data.contests || {};
+      const nextId = Math.max(0, ...Object.keys(data.contests).map(Number)) + 1;
+      data.contests[nextId] = { ...contest, version: 1 };
+      writeJsonFile(filePath, data);
+      contest.version = 1;
+      sync();
+      return nextId;
+    }),
+    saveContest,
+    deleteContest: (contestId) => enqueue(() => {
+      const data = read();
+      delete data.contests?.[contestId];
+      writeJsonFile(filePath, data);
+      sync();
+    }),
+    // Users are { username, passwordHash, salt }; tokens are stored hashed
+    createUser: (user) => enqueue(() => {
+      const data = readUsers();
+      if (own(data.users, user.username)) throw userExists(user.username);
+      data.users[user.username] = { ...user, tokenHashes: [], createdAt: new Date().toISOString() };
+      writeJsonFile(usersPath, data);
+      syncUsers();
+    }),
+    getUser: async (username) => own(readUsers().users, username),
+    addUserToken: (username, tokenHash) => enqueue(() => {
+      const data = readUsers();
+      data.users[username].tokenHashes.push(tokenHash);
+      writeJsonFile(usersPath, data);
+      syncUsers();
+    }),
+    findUserByToken: async (tokenHash) => Object.values(readUsers().users).find(u => u.tokenHashes.includes(tokenHash)) || null,
+    close: async () => {},
+  };
+};
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS leagues (
+    id INTEGER PRIMARY KEY,
+    invite_code TEXT UNIQUE,
+    data JSONB NOT NULL DEFAULT '{}',
+    version INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+  );
+  CREATE TABLE IF NOT EXISTS teams (
+    league_id INTEGER NOT NULL REFERENCES leagues(id) ON DELETE CASCADE,
+    team_index INTEGER NOT NULL,
+    name TEXT NOT NULL,
+    roster JSONB NOT NULL DEFAULT '[]',
+    queue JSONB NOT NULL DEFAULT '[]',
+    PRIMARY KEY (league_id, team_index)
+  );
+  CREATE TABLE IF NOT EXISTS owners (
+    league_id INTEGER NOT NULL,
+    team_index INTEGER NOT NULL,
+    owner_token TEXT UNIQUE,
+    socket_id TEXT,
+    PRIMARY KEY (league_id, team_index),
+    FOREIGN KEY (league_id, team_index) REFERENCES teams(league_id, team_index) ON DELETE CASCADE
+  );
+  CREATE TABLE IF NOT EXISTS picks (
+    id SERIAL PRIMARY KEY,
+    league_id INTEGER NOT NULL REFERENCES leagues(id) ON DELETE CASCADE,
+    type TEXT NOT NULL DEFAULT 'pick',
+    team_index INTEGER,
+    player_id INTEGER,
+    round INTEGER,
+    overall_pick INTEGER,
+    auto BOOLEAN NOT NULL DEFAULT false,
+    entry JSONB NOT NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+  );
+  CREATE INDEX IF NOT EXISTS picks_league_id_idx ON picks (league_id);
+  CREATE TABLE IF NOT EXISTS users (
+    username TEXT PRIMARY KEY,
+    password_hash TEXT,
+    salt TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+  );
+  CREATE TABLE IF NOT EXISTS user_tokens (
+    token_hash TEXT PRIMARY KEY,
+    username TEXT NOT NULL REFERENCES users(username) ON DELETE CASCADE,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+  );
+  ALTER TABLE leagues ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 0;
+  CREATE TABLE IF NOT EXISTS contests (
+    id INTEGER PRIMARY KEY,
+    data JSONB NOT NULL DEFAULT '{}',
+    version INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+  );
+`;
+
+// Teams, owners, queues and the pick log get their own tables; everything else on the league stays in leagues.data
+const splitLeague = (league) => {
+  const {
+    teams = [], teamNames = [], queues = {}, ownerTokens = {}, teamOwners = {}, inviteCode = null, pickLog, version, ...rest
+  } = league;
+  const teamRows = teamNames.map((name, teamIndex) => ({
+    teamIndex,
+    name,
+    roster: teams[teamIndex] || [],
+    queue: queues[teamIndex] || [],
+  }));
+  const ownerRows = teamRows
+    .filter(({ teamIndex }) => ownerTokens[teamIndex] || teamOwners[teamIndex])
+    .map(({ teamIndex }) => ({
+      teamIndex,
+      ownerToken: ownerTokens[teamIndex] || null,
+      socketId: teamOwners[teamIndex] || null,
+    }));
+  return { data: rest, inviteCode, teamRows, ownerRows };
+};
+
+const joinLeague = (row, teamRows, ownerRows, pickRows) => {
+  const queues = {};
+  const ownerTokens = {};
+  const teamOwners = {};
+  teamRows.forEach(t => {
+    if (t.queue.length > 0) queues[t.team_index] = t.queue;
+  });
+  ownerRows.forEach(o => {
+    if (o.owner_token) ownerTokens[o.team_index] = o.owner_token;
+    if (o.socket_id) teamOwners[o.team_index] = o.socket_id;
+  });
+  return {
+    ...row.data,
+    inviteCode: row.invite_code,
+    version: row.version,
+    teamNames: teamRows.map(t => t.name),
+    teams: teamRows.map(t => t.roster),
+    queues,
+    ownerTokens,
+    teamOwners,
+    pickLog: pickRows.map(p => p.entry),
+  };
+};
+
+const toContest = ({ data, version }) => ({ ...data, version });
+
+const toUser = (row) => ({ username: row.username, passwordHash: row.password_hash, salt: row.salt });
+
+export const createPostgresLeagueStore = (connectionString) => {
+  const pool = new Pool({ connectionString });
+
+  // begin can ask for a stricter isolation level than the default READ COMMITTED
+  const transaction = async (work, begin = 'BEGIN') => {
+    const client = await pool.connect();
+    try {
+      await client.query(begin);
+      const result = await work(client);
+      await client.query('COMMIT');
+      return result;
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+  };
+
+  const writeLeague = async (client, leagueId, league, version) => {
+    const { data, inviteCode, teamRows, ownerRows } = splitLeague(league);
+    await client.query(
+      `INSERT INTO leagues (id, invite_code, data, version) VALUES ($1, $2, $3, $4)
+       ON CONFLICT (id) DO UPDATE SET invite_code = EXCLUDED.invite_code, data = EXCLUDED.data, version = EXCLUDED.version, updated_at = now()`,
+      [leagueId, inviteCode, data, version],
+    );
+    await client.query('DELETE FROM teams WHERE league_id = $1 AND team_index >= $2', [leagueId, teamRows.length]);
+    for (const t of teamRows) {
+      await client.query(
+        `INSERT INTO teams (league_id, team_index, name, roster, queue) VALUES ($1, $2, $3, $4, $5)
+         ON CONFLICT (league_id, team_index) DO UPDATE SET name = EXCLUDED.name, roster = EXCLUDED.roster, queue = EXCLUDED.queue`,
+        [leagueId, t.teamIndex, t.name, JSON.stringify(t.roster), JSON.stringify(t.queue)],
+      );
+    }
+    await client.query('DELETE FROM owners WHERE league_id = $1', [leagueId]);
+    for (const o of ownerRows) {
+      await client.query(
+        'INSERT INTO owners (league_id, team_index, owner_token, socket_id) VALUES ($1, $2, $3, $4)',
+        [leagueId, o.teamIndex, o.ownerToken, o.socketId],
+      );
+    }
+  };
+
+  // Locks the league row until commit, so concurrent saves queue up behind each other
+  const writeVersionedLeague = async (client, leagueId, league) => {
+    const { rows } = await client.query('SELECT version FROM leagues WHERE id = $1 FOR UPDATE', [leagueId]);
+    if (rows.length === 0) throw notFound(leagueId);
+    const currentVersion = rows[0].version || 0;
+    if (currentVersion !== (league.version || 0)) throw versionConflict(leagueId, currentVersion);
+    await writeLeague(client, leagueId, league, currentVersion + 1);
+    return currentVersion + 1;
+  };
+
+  const insertLogEntry = (client, leagueId, entry) => client.query(
+    `INSERT INTO picks (league_id, type, team_index, player_id, round, overall_pick, auto, entry)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+    [
+      leagueId,
+      entry.type,
+      entry.teamIndex ?? null,
+      entry.player ? Number(entry.player.id) : null,
+      entry.round ?? null,
+      entry.overallPick ?? null,
+      Boolean(entry.auto),
+      JSON.stringify(entry),
+    ],
+  );
+
+  // All four tables come from one snapshot, so a league's version always matches the rosters read with it
+  const loadLeagues = (leagueId = null) => transaction(async (client) => {
+    const filter = leagueId === null ? '' : 'WHERE league_id = $1';
+    const params = leagueId === null ? [] : [leagueId];
+    const leagues = await client.query(`SELECT * FROM leagues ${leagueId === null ? '' : 'WHERE id = $1'} ORDER BY id`, params);
+    const teams = await client.query(`SELECT * FROM teams ${filter} ORDER BY league_id, team_index`, params);
+    const owners = await client.query(`SELECT * FROM owners ${filter}`, params);
+    const picks = await client.query(`SELECT league_id, entry FROM picks ${filter} ORDER BY id`, params);
+    const result = {};
+    leagues.rows.forEach(row => {
+      result[row.id] = joinLeague(
+        row,
+        teams.rows.filter(t => t.league_id === row.id),
+        owners.rows.filter(o => o.league_id === row.id),
+        picks.rows.filter(p => p.league_id === row.id),
+      );
+    });
+    return result;
+  }, 'BEGIN ISOLATION LEVEL REPEATABLE READ READ ONLY');
+
+  return {
+    init: async () => {
+      await pool.query(SCHEMA);
+      console.log('✅ Connected to Postgres league storage');
+    },
+    getLeagues: () => loadLeagues(),
+    getLeague: async (leagueId) => {
+      const id = Number(leagueId);
+      if (!Number.isInteger(id)) return null;
+      const leagues = await loadLeagues(id);
+      return leagues[id] || null;
+    },
+    createLeague: (league) => transaction(async (client) => {
+      await client.query('LOCK TABLE leagues IN EXCLUSIVE MODE');
+      const { rows } = await client.query('SELECT COALESCE(MAX(id), 0) + 1 AS id FROM leagues');
+      await writeLeague(client, rows[0].id, league, 1);
+      league.version = 1;
+      return rows[0].id;
+    }),
+    saveLeague: async (leagueId, league) => {
+      league.version = await transaction(client => writeVersionedLeague(client, Number(leagueId), league));
+    },
+    // Migration only: replaces the league and its whole pick log
+    importLeague: (leagueId, league) => transaction(async (client) => {
+      const id = Number(leagueId);
+      await writeLeague(client, id, league, league.version || 1);
+      await client.query('DELETE FROM picks WHERE league_id = $1', [id]);
+      for (const entry of league.pickLog || []) await insertLogEntry(client, id, entry);
+    }),
+    // Roster update and log row commit together or not at all
+    appendLog: async (leagueId, league, entry) => {
+      league.version = await transaction(async (client) => {
+        const version = await writeVersionedLeague(client, Number(leagueId), league);
+        await insertLogEntry(client, Number(leagueId), entry);
+        return version;
+      });
+    },
+    deleteLeague: async (leagueId) => {
+      await pool.query('DELETE FROM leagues WHERE id = $1', [Number(leagueId)]);
+    },
+    getContests: async () => {
+      const { rows } = await pool.query('SELECT * FROM contests ORDER BY id');
+      return Object.fromEntries(rows.map(row => [row.id, toContest(row)]));
+    },
+    getContest: async (contestId) => {
+      const id = Number(contestId);
+      if (!Number.isInteger(id)) return null;
+      const { rows } = await pool.query('SELECT * FROM contests WHERE id = $1', [id]);
+      return rows[0] ? toContest(rows[0]) : null;
+    },
+    createContest: (contest) => transaction(async (client) => {
+      await client.query('LOCK TABLE contests IN EXCLUSIVE MODE');
+      const { rows } = await client.query('SELECT COALESCE(MAX(id), 0) + 1 AS id FROM contests');
+      const { version, ...data } = contest;
+      await client.query('INSERT INTO contests (id, data, version) VALUES ($1, $2, 1)', [rows[0].id, data]);
+      contest.version = 1;
+      return rows[0].id;
+    }),
+    saveContest: async (contestId, contest) => {
+      const id = Number(contestId);
+      contest.version = await transaction(async (client) => {
+        const { rows } = await client.query('SELECT version FROM contests WHERE id = $1 FOR UPDATE', [id]);
+        if (rows.length === 0) throw notFound(id, 'Contest');
+        const currentVersion = rows[0].version || 0;
+        if (currentVersion !== (contest.version || 0)) throw versionConflict(id, currentVersion, 'Contest');
+        const { version, ...data } = contest;
+        await client.query('UPDATE contests SET data = $2, version = $3, updated_at = now() WHERE id = $1', [id, data, currentVersion + 1]);
+        return currentVersion + 1;
+      });
+    },
+    // Migration only: replaces the contest as-is
+    importContest: async (contestId, { version = 1, ...data }) => {
+      await pool.query(
+        `INSERT INTO contests (id, data, version) VALUES ($1, $2, $3)
+         ON CONFLICT (id) DO UPDATE SET data = EXCLUDED.data, version = EXCLUDED.version, updated_at = now()`,
+        [Number(contestId), data, version],
+      );
+    },
+    deleteContest: async (contestId) => {
+      await pool.query('DELETE FROM contests WHERE id = $1', [Number(contestId)]);
+    },
+    createUser: async ({ username, passwordHash, salt }) => {
+      try {
+        await pool.query('INSERT INTO users (username, password_hash, salt) VALUES ($1, $2, $3)', [username, passwordHash, salt]);
+      } catch (err) {
+        if (err.code === '23505') throw userExists(username);
+        throw err;
+      }
+    },
+    getUser: async (username) => {
+      const { rows } = await pool.query('SELECT * FROM users WHERE username = $1', [username]);
+      return rows[0] ? toUser(rows[0]) : null;
+    },
+    addUserToken: async (username, tokenHash) => {
+      await pool.query('INSERT INTO user_tokens (token_hash, username) VALUES ($1, $2)', [tokenHash, username]);
+    },
+    // Migration only: the account keeps its password hash and every token issued to it
+    importUser: ({
+      username, passwordHash = null, salt = null, tokenHashes = [], createdAt = null,
+    }) => transaction(async (client) => {
+      await client.query(
+        `INSERT INTO users (username, password_hash, salt, created_at) VALUES ($1, $2, $3, COALESCE($4::timestamptz, now()))
+         ON CONFLICT (username) DO UPDATE SET password_hash = EXCLUDED.password_hash, salt = EXCLUDED.salt`,
+        [username, passwordHash, salt, createdAt],
+      );
+      for (const tokenHash of tokenHashes) {
+        await client.query('INSERT INTO user_tokens (token_hash, username) VALUES ($1, $2) ON CONFLICT (token_hash) DO NOTHING', [tokenHash, username]);
+      }
+    }),
+    findUserByToken: async (tokenHash) => {
+      const { rows } = await pool.query(
+        'SELECT u.* FROM users u JOIN user_tokens t ON t.username = u.username WHERE t.token_hash = $1',
+        [tokenHash],
+      );
+      return rows[0] ? toUser(rows[0]) : null;
+    },
+    close: () => pool.end(),
+  };
+};
+
+// DATABASE_URL switches leagues to Postgres; without it they stay in the JSON file
+export const createLeagueStore = (filePath, usersPath, options) => (process.env.DATABASE_URL
+  ? createPostgresLeagueStore(process.env.DATABASE_URL)
+  : createFileLeagueStore(filePath, usersPath, options));
+
+// Tournament snapshots: one directory per event_id holding every archived feed plus an index.json
+const SNAPSHOT_CACHE_SIZE = 6;
+const isSafeEventId = (eventId) => /^[\w-]+$/.test(String(eventId));
+
+export const createSnapshotArchive = (dirPath) => {
+  const cache = new Map(); // file path -> parsed snapshot, snapshots never change once written
+  const eventDir = (eventId) => `${dirPath}/${eventId}`;
+  const indexPath = (eventId) => `${eventDir(eventId)}/index.json`;
+
+  const getEvent = (eventId) => {
+    if (!isSafeEventId(eventId) || !fs.existsSync(indexPath(eventId))) return null;
+    return readJsonFile(indexPath(eventId), null);
+  };
+
+  // Returns the new snapshot entry, or null when the feed hasn't changed since the last one
+  const record = (feed, data, { eventId, eventName, round }) => {
+    if (!isSafeEventId(eventId)) throw new Error(`Invalid event_id ${eventId}`);
+    const body = JSON.stringify(data);
+    const hash = crypto.createHash('sha1').update(body).digest('hex');
+    const index = getEvent(eventId) || { eventId, eventName, snapshots: [] };
+    const previous = index.snapshots.filter(s => s.feed === feed).pop();
+    if (previous?.hash === hash) return null;
+
+    const takenAt = new Date().toISOString();
+    const entry = { feed, round: round ?? null, takenAt, file: `${takenAt.replace(/[:.]/g, '-')}-${feed}.json`, hash };
+    fs.mkdirSync(eventDir(eventId), { recursive: true });
+    fs.writeFileSync(`${eventDir(eventId)}/${entry.file}`, body);
+    index.eventName = eventName || index.eventName;
+    index.snapshots.push(entry);
+    fs.writeFileSync(indexPath(eventId), JSON.stringify(index, null, 2));
+    return entry;
+  };
+
+  const listEvents = () => {
+    if (!fs.existsSync(dirPath)) return [];
+    return fs.readdirSync(dirPath)
+      .map(getEvent)
+      .filter(Boolean)
+      .map(({ eventId, eventName, snapshots }) => ({
+        eventId,
+        eventName,
+        snapshotCount: snapshots.length,
+        rounds: [...new Set(snapshots.map(s => s.round).filter(r => r != null))].sort((a, b) => a - b),
+        firstSnapshotAt: snapshots[0]?.takenAt || null,
+        lastSnapshotAt: snapshots[snapshots.length - 1]?.takenAt || null,
+      }));
+  };
+
+  // Latest snapshot of a feed taken at or before `at` (ISO string)
+  const readAt = (eventId, feed, at) => {
+    const index = getEvent(eventId);
+    const snapshot = index?.snapshots.filter(s => s.feed === feed && s.takenAt <= at).pop();
+    if (!snapshot) return null;
+
+    const filePath = `${eventDir(eventId)}/${snapshot.file}`;
+    if (!cache.has(filePath)) {
+      if (cache.size >= SNAPSHOT_CACHE_SIZE) cache.delete(cache.keys().next().value);
+      cache.set(filePath, readJsonFile(filePath, null));
+    }
+    return { snapshot, data: cache.get(filePath) };
+  };
+
+  return { record, getEvent, listEvents, readAt };
+};
@@ -0,0 +1,179 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer, createUser, readFixture } from './helpers.js';
+
+const createContest = async (server, token, body) => {
+  const { status, body: created } = await server.request('POST', '/contests', { token, body });
+  assert.equal(status, 201);
+  return created;
+};
+
+// Moves field.json to a later event that hasn't teed off, so holes.json no longer matches it
+const upcomingField = () => {
+  const field = readFixture('field.json');
+  return {
+    ...field,
+    event_id: 7,
+    event_name: 'Genesis Invitational',
+    field: field.field.map(p => ({ ...p, r1_teetime: '2099-02-13 08:00', r2_teetime: '2099-02-14 08:00' })),
+  };
+};
+
+describe('contest picks before the event', () => {
+  let server;
+  let aliceToken;
+  let bobToken;
+  let contestId;
+  let golferIds;
+
+  before(async () => {
+    server = await startTestServer({ files: { 'field.json': upcomingField() } });
+    aliceToken = await createUser(server, 'alice');
+    bobToken = await createUser(server, 'bob');
+    golferIds = upcomingField().field.map(p => p.dg_id);
+    const created = await createContest(server, aliceToken, { name: 'Majors OAD', type: 'one-and-done' });
+    contestId = created.contestId;
+    const joined = await server.request('POST', `/invites/${created.inviteCode}/join`, { token: bobToken });
+    assert.equal(joined.status, 200);
+    assert.equal(String(joined.body.contestId), String(contestId));
+  });
+
+  after(() => server.close());
+
+  it('takes picks and hides them from other members until they lock', async () => {
+    const picked = await server.request('PUT', `/contests/${contestId}/picks`, { token: aliceToken, body: { players: [golferIds[0]] } });
+    assert.equal(picked.status, 200);
+    assert.equal(picked.body.eventId, 7);
+    assert.equal(picked.body.entry.players[0].id, golferIds[0]);
+
+    const asBob = await server.request('GET', `/contests/${contestId}`, { token: bobToken });
+    assert.equal(asBob.body.currentEvent.locksAt, new Date('2099-02-13T08:00:00-05:00').toISOString());
+    assert.deepEqual(asBob.body.events[7].entries, {});
+    const asAlice = await server.request('GET', `/contests/${contestId}`, { token: aliceToken });
+    assert.ok(asAlice.body.events[7].entries.alice);
+  });
+
+  it('does not let a member reuse a golfer from an earlier event', async () => {
+    const contest = await server.golfServer.leagueStore.getContest(contestId);
+    contest.events[3] = {
+      eventId: 3,
+      eventName: 'The American Express',
+      entries: { alice: { players: [{ id: golferIds[1], name: 'Earlier pick' }] } },
+      results: { alice: { points: 120, picks: [] } },
+      final: true,
+    };
+    await server.golfServer.leagueStore.saveContest(contestId, contest);
+
+    const reused = await server.request('PUT', `/contests/${contestId}/picks`, { token: aliceToken, body: { players: [golferIds[1]] } });
+    assert.equal(reused.status, 409);
+    assert.equal(reused.body.error.code, 'PLAYER_USED');
+    // Someone else can still take that golfer
+    const byBob = await server.request('PUT', `/contests/${contestId}/picks`, { token: bobToken, body: { players: [golferIds[1]] } });
+    assert.equal(byBob.status, 200);
+
+    const { body } = await server.request('GET', `/contests/${contestId}/standings`, { token: bobToken });
+    assert.deepEqual(body.standings.map(e => [e.username, e.points, e.rank]), [['alice', 120, 1], ['bob', 0, 2]]);
+  });
+
+  it('checks the number of golfers and that they are in the field', async () => {
+    const { contestId: pickemId } = await createContest(server, aliceToken, { name: 'Top 10', type: 'pickem', settings: { picks: 3 } });
+    const short = await server.request('PUT', `/contests/${pickemId}/picks`, { token: aliceToken, body: { players: golferIds.slice(0, 2) } });
+    assert.equal(short.status, 400);
+    assert.equal(short.body.error.code, 'INVALID_PICKS');
+
+    const outsider = await server.request('PUT', `/contests/${pickemId}/picks`, { token: aliceToken, body: { players: [...golferIds.slice(0, 2), 1] } });
+    assert.equal(outsider.status, 400);
+    assert.equal(outsider.body.error.code, 'PLAYER_UNAVAILABLE');
+
+    assert.equal((await server.request('GET', `/contests/${pickemId}`, { token: bobToken })).status, 403);
+  });
+});
+
+describe('contest lock times', () => {
+  let server;
+
+  after(() => server.close());
+
+  it('reads tee times in the event time zone, daylight saving included', async () => {
+    const field = upcomingField();
+    field.field.forEach(p => { p.r1_teetime = '2099-07-16 07:30'; });
+    // A tee time that carries its own offset keeps it: 06:45 Pacific is after 07:30 Eastern
+    field.field[0].r1_teetime = '2099-07-16 06:45-07:00';
+    server = await startTestServer({ files: { 'field.json': field } });
+    const token = await createUser(server, 'alice');
+    const { contestId } = await createContest(server, token, { name: 'Open OAD', type: 'one-and-done' });
+
+    const { body } = await server.request('GET', `/contests/${contestId}`, { token });
+    assert.equal(body.currentEvent.locksAt, '2099-07-16T11:30:00.000Z');
+  });
+});
+
+describe('contest settlement against the fixture event', () => {
+  let server;
+  let token;
+  let statsById;
+  let holes;
+
+  before(async () => {
+    server = await startTestServer();
+    token = await createUser(server, 'commish');
+    statsById = new Map(readFixture('live_tournament_stats.json').live_stats.map(s => [s.dg_id, s]));
+    holes = readFixture('holes.json');
+  });
+
+  after(() => server.close());
+
+  // Fills in entries as if they were made before the first tee time
+  const seedEntries = async (contestId, entries) => {
+    const contest = await server.golfServer.leagueStore.getContest(contestId);
+    contest.events[4] = {
+      eventId: 4, eventName: 'Farmers Insurance Open', entries, results: null, final: false,
+    };
+    await server.golfServer.leagueStore.saveContest(contestId, contest);
+  };
+
+  it('locks picks once the first round has teed off', async () => {
+    const { contestId } = await createContest(server, token, { name: 'OAD', type: 'one-and-done' });
+    const { status, body } = await server.request('PUT', `/contests/${contestId}/picks`, { token, body: { players: [holes.players[0].dg_id] } });
+    assert.equal(status, 409);
+    assert.equal(body.error.code, 'PICKS_LOCKED');
+  });
+
+  it('scores pick\'em entries by top-10 finishes', async () => {
+    const { contestId } = await createContest(server, token, { name: 'Top 10', type: 'pickem', settings: { picks: 3, topN: 10 } });
+    // Two leaders and the last player in holes.json, who is well outside the top 10
+    const picks = [...holes.players.slice(0, 2), holes.players[holes.players.length - 1]].map(p => ({ id: p.dg_id, name: p.player_name }));
+    await seedEntries(contestId, { commish: { players: picks } });
+
+    const expected = picks.filter(p => {
+      const finish = Number.parseInt(String(statsById.get(p.id)?.position).replace(/^T/, ''), 10);
+      return finish <= 10;
+    }).length;
+    assert.equal(expected, 2);
+    const { body } = await server.request('GET', `/contests/${contestId}/standings`, { token });
+    assert.equal(body.standings[0].points, expected);
+  });
+
+  it('pays round-leader picks for the leader after a finished round', async () => {
+    const { contestId } = await createContest(server, token, { name: 'Leaders', type: 'round-leader' });
+    const roundOne = holes.players
+      .map(p => ({ p, scores: p.rounds.find(r => r.round_num === 1)?.scores.filter(s => s.score != null) || [] }))
+      .filter(({ scores }) => scores.length === 18)
+      .map(({ p, scores }) => ({ id: p.dg_id, name: p.player_name, toPar: scores.reduce((sum, s) => sum + s.score - s.par, 0) }))
+      .sort((a, b) => a.toPar - b.toPar);
+    const [leader] = roundOne;
+    const trailer = roundOne[roundOne.length - 1];
+    await seedEntries(contestId, { commish: { rounds: { 1: { id: leader.id, name: leader.name }, 2: { id: trailer.id, name: trailer.name } } } });
+
+    const { body } = await server.request('GET', `/contests/${contestId}`, { token });
+    const { picks, points } = body.events[4].results.commish;
+    assert.equal(points, 1);
+    assert.deepEqual(picks.map(p => [p.round, p.points]), [[1, 1], [2, 0]]);
+
+    // Round 3 has no tee times or scores yet, so it is still open
+    const open = await server.request('PUT', `/contests/${contestId}/picks`, { token, body: { players: [leader.id], round: 3 } });
+    assert.equal(open.status, 200);
+    const locked = await server.request('PUT', `/contests/${contestId}/picks`, { token, body: { players: [leader.id], round: 2 } });
+    assert.equal(locked.body.error.code, 'PICKS_LOCKED');
+  });
+});
@@ -0,0 +1,227 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  startTestServer, createUser, createLeague, emitAndWait,
+} from './helpers.js';
+
+const ROSTER_SIZE = 3;
+
+describe('team claiming', () => {
+  let server;
+  let token;
+  let league;
+
+  before(async () => {
+    server = await startTestServer();
+    token = await createUser(server, 'commish');
+    league = await createLeague(server, token);
+  });
+
+  after(() => server.close());
+
+  it('claims a team with the invite code and issues an owner token', async () => {
+    const socket = await server.connect();
+    await emitAndWait(socket, 'join-draft', { leagueId: league.leagueId, inviteCode: league.inviteCode }, 'draft-status');
+    const assigned = await emitAndWait(socket, 'assign-team', {
+      leagueId: league.leagueId, teamIndex: 0, inviteCode: league.inviteCode,
+    }, 'team-assigned');
+    assert.equal(assigned.success, true);
+    assert.equal(assigned.teamIndex, 0);
+    assert.ok(assigned.ownerToken);
+
+    // The owner token alone is enough to come back later
+    const rejoined = await server.connect();
+    await emitAndWait(rejoined, 'join-draft', { leagueId: league.leagueId, ownerToken: assigned.ownerToken }, 'team-assigned');
+  });
+
+  it('rejects a wrong invite code', async () => {
+    const socket = await server.connect();
+    await emitAndWait(socket, 'join-draft', { leagueId: league.leagueId, inviteCode: league.inviteCode }, 'draft-status');
+    const assigned = await emitAndWait(socket, 'assign-team', {
+      leagueId: league.leagueId, teamIndex: 1, inviteCode: 'WRONG',
+    }, 'team-assigned');
+    assert.equal(assigned.success, false);
+    assert.equal(assigned.error.code, 'INVALID_INVITE');
+  });
+
+  it('does not hand out a team someone else claimed', async () => {
+    const socket = await server.connect();
+    await emitAndWait(socket, 'join-draft', { leagueId: league.leagueId, inviteCode: league.inviteCode }, 'draft-status');
+    const assigned = await emitAndWait(socket, 'assign-team', {
+      leagueId: league.leagueId, teamIndex: 0, inviteCode: league.inviteCode,
+    }, 'team-assigned');
+    assert.equal(assigned.success, false);
+    assert.equal(assigned.error.code, 'TEAM_TAKEN');
+  });
+
+  it('adds a logged-in claimer to the league members', async () => {
+    const ownerToken = await createUser(server, 'claimer');
+    const socket = await server.connect(ownerToken);
+    await emitAndWait(socket, 'join-draft', { leagueId: league.leagueId, inviteCode: league.inviteCode }, 'draft-status');
+    const assigned = await emitAndWait(socket, 'assign-team', {
+      leagueId: league.leagueId, teamIndex: 2, inviteCode: league.inviteCode,
+    }, 'team-assigned');
+    assert.equal(assigned.success, true);
+
+    const { body } = await server.request('GET', `/leagues/${league.leagueId}/members`, { token });
+    assert.deepEqual(body.members, ['commish', 'claimer']);
+  });
+
+  it('treats inherited property names as unknown leagues', async () => {
+    const socket = await server.connect();
+    const assigned = await emitAndWait(socket, 'assign-team', {
+      leagueId: 'constructor', teamIndex: 0, inviteCode: 'X',
+    }, 'team-assigned');
+    assert.equal(assigned.error.code, 'VALIDATION_ERROR');
+    assert.equal(await server.golfServer.leagueStore.getLeague('constructor'), null);
+    assert.equal((await server.request('GET', '/leagues/constructor', { token })).status, 404);
+    assert.equal((await server.request('GET', '/contests/__proto__', { token })).status, 404);
+  });
+});
+
+describe('snake draft', () => {
+  let server;
+  let token;
+  let league;
+  let socket;
+  const ownerTokens = [];
+
+  before(async () => {
+    server = await startTestServer();
+    token = await createUser(server, 'commish');
+    league = await createLeague(server, token, { draftSettings: { type: 'snake', rosterSize: ROSTER_SIZE } });
+    socket = await server.connect(token);
+    await emitAndWait(socket, 'join-draft', { leagueId: league.leagueId }, 'draft-status');
+    for (const teamIndex of [0, 1, 2]) {
+      const assigned = await emitAndWait(socket, 'assign-team', {
+        leagueId: league.leagueId, teamIndex, inviteCode: league.inviteCode,
+      }, 'team-assigned');
+      ownerTokens[teamIndex] = assigned.ownerToken;
+    }
+  });
+
+  after(() => server.close());
+
+  it('rejects picks before the draft starts', async () => {
+    const rejected = await emitAndWait(socket, 'draft-pick', {
+      leagueId: league.leagueId, teamIndex: 0, player: { id: 1 }, ownerToken: ownerTokens[0],
+    }, 'pick-rejected');
+    assert.equal(rejected.error.code, 'DRAFT_NOT_STARTED');
+  });
+
+  it('only lets the commissioner start the draft', async () => {
+    const guest = await server.connect();
+    await emitAndWait(guest, 'join-draft', { leagueId: league.leagueId, inviteCode: league.inviteCode }, 'draft-status');
+    const snapshot = await emitAndWait(guest, 'start-draft', { leagueId: league.leagueId }, 'draft-snapshot');
+    assert.equal(snapshot.error.code, 'FORBIDDEN');
+  });
+
+  it('runs a full snake draft to completion', async () => {
+    const started = await emitAndWait(socket, 'start-draft', { leagueId: league.leagueId }, 'draft-snapshot');
+    assert.equal(started.isDrafting, true);
+    assert.equal(started.currentTeamIndex, 0);
+    assert.ok(started.availablePlayers.length >= 3 * ROSTER_SIZE);
+
+    const available = [...started.availablePlayers];
+    const expectedOrder = [0, 1, 2, 2, 1, 0, 0, 1, 2];
+    const drafted = [[], [], []];
+    let { seq } = started;
+
+    for (const [pick, teamIndex] of expectedOrder.entries()) {
+      if (pick === 1) {
+        const early = await emitAndWait(socket, 'draft-pick', {
+          leagueId: league.leagueId, teamIndex: 2, player: available[0], ownerToken: ownerTokens[2],
+        }, 'pick-rejected');
+        assert.equal(early.error.code, 'NOT_YOUR_TURN');
+        const taken = await emitAndWait(socket, 'draft-pick', {
+          leagueId: league.leagueId, teamIndex, player: drafted[0][0], ownerToken: ownerTokens[teamIndex],
+        }, 'pick-rejected');
+        assert.equal(taken.error.code, 'PLAYER_TAKEN');
+      }
+
+      const player = available.shift();
+      // The first pick dresses the player up; only the id may count
+      const sent = pick === 0 ? { ...player, name: 'Forged Name', dg_rank: 1, salary: 999999 } : player;
+      const delta = await emitAndWait(socket, 'draft-pick', {
+        leagueId: league.leagueId, teamIndex, player: sent, ownerToken: ownerTokens[teamIndex],
+      }, 'draft-delta');
+      drafted[teamIndex].push(player);
+      assert.deepEqual(delta.entry.player, player);
+      assert.equal(delta.type, 'pick');
+      assert.equal(delta.seq, seq + 1);
+      assert.equal(delta.entry.overallPick, pick + 1);
+      assert.equal(delta.entry.teamIndex, teamIndex);
+      assert.equal(delta.entry.player.id, player.id);
+      seq = delta.seq;
+      if (pick < expectedOrder.length - 1) assert.equal(delta.clock.currentTeamIndex, expectedOrder[pick + 1]);
+    }
+
+    const { body } = await server.request('GET', `/leagues/${league.leagueId}`, { token });
+    assert.equal(body.draftComplete, true);
+    assert.deepEqual(body.teams, drafted);
+    assert.equal(body.availablePlayers.length, started.availablePlayers.length - 3 * ROSTER_SIZE);
+
+    const picks = await server.request('GET', `/leagues/${league.leagueId}/picks`, { token });
+    assert.deepEqual(picks.body.map(entry => entry.teamIndex), expectedOrder);
+  });
+
+  it('rejects picks once the draft is complete', async () => {
+    const rejected = await emitAndWait(socket, 'draft-pick', {
+      leagueId: league.leagueId, teamIndex: 0, player: { id: 1 }, ownerToken: ownerTokens[0],
+    }, 'pick-rejected');
+    assert.equal(rejected.error.code, 'DRAFT_COMPLETE');
+  });
+
+  it('trades only the players named, each once', async () => {
+    const before = (await server.request('GET', `/leagues/${league.leagueId}`, { token })).body.teams;
+    const [a0] = before[0];
+    const [b0] = before[1];
+    const repeated = await server.request('POST', `/leagues/${league.leagueId}/trades`, {
+      token, body: { teamA: 0, teamB: 1, playersA: [a0.id, a0.id], playersB: [b0.id, b0.id] },
+    });
+    assert.equal(repeated.status, 400);
+    assert.equal(repeated.body.error.code, 'INVALID_MOVE');
+
+    const traded = await server.request('POST', `/leagues/${league.leagueId}/trades`, {
+      token, body: { teamA: 0, teamB: 1, playersA: [a0.id], playersB: [b0.id] },
+    });
+    assert.equal(traded.status, 200);
+    const { teams } = (await server.request('GET', `/leagues/${league.leagueId}`, { token })).body;
+    assert.deepEqual(teams[0], [...before[0].filter(p => p.id !== a0.id), b0]);
+    assert.deepEqual(teams[1], [...before[1].filter(p => p.id !== b0.id), a0]);
+  });
+});
+
+describe('redraft seasons', () => {
+  let server;
+
+  before(async () => {
+    server = await startTestServer();
+  });
+
+  after(() => server.close());
+
+  it('sends a fresh draft snapshot when a new event empties the rosters', { timeout: 5000 }, async () => {
+    const token = await createUser(server, 'commish');
+    const { leagueId } = await createLeague(server, token, {
+      teams: [[{ id: 1, name: 'Last week' }], [], []],
+      season: { schedule: [], rosterPolicy: 'redraft' },
+    });
+    // The league is still on an earlier event, so the next refresh moves it on to field.json's
+    const league = await server.golfServer.leagueStore.getLeague(leagueId);
+    league.season.currentEvent = { eventId: 3, eventName: 'The American Express', results: [] };
+    await server.golfServer.leagueStore.saveLeague(leagueId, league);
+
+    const socket = await server.connect(token);
+    await emitAndWait(socket, 'join-draft', { leagueId }, 'draft-status');
+    const snapshot = new Promise((resolve) => {
+      socket.on('draft-snapshot', (data) => {
+        if (data.teams.every(roster => roster.length === 0)) resolve(data);
+      });
+    });
+    assert.equal((await server.request('POST', '/update-data')).status, 200);
+    const { teams, isDrafting } = await snapshot;
+    assert.deepEqual(teams, [[], [], []]);
+    assert.equal(isDrafting, false);
+  });
+});
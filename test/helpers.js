@@ -0,0 +1,103 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { io as connectSocket } from 'socket.io-client';
+import { createGolfServer } from '../app.js';
+import { createFileLeagueStore } from '../storage.js';
+import { createFileProvider } from '../providers.js';
+
+// The server logs every write and pick; set TEST_LOGS=1 to see them
+if (!process.env.TEST_LOGS) console.log = () => {};
+
+// Tournament fixtures copied into every test server's data directory
+const FIXTURES_PATH = fileURLToPath(new URL('../data', import.meta.url));
+export const FIXTURE_FILES = ['holes.json', 'live_tournament_stats.json', 'field.json', 'rankings.json'];
+
+export const readFixture = (file) => JSON.parse(fs.readFileSync(path.join(FIXTURES_PATH, file), 'utf-8'));
+
+// A server on an ephemeral port with its own temp data directory, the file provider and no GitHub or scheduler.
+// files replaces fixtures by name, e.g. { 'field.json': data }
+export const startTestServer = async ({ files = {}, adminToken = null } = {}) => {
+  const dataPath = fs.mkdtempSync(path.join(os.tmpdir(), 'golf-server-'));
+  FIXTURE_FILES.forEach(file => fs.copyFileSync(path.join(FIXTURES_PATH, file), path.join(dataPath, file)));
+  Object.entries(files).forEach(([file, data]) => fs.writeFileSync(path.join(dataPath, file), JSON.stringify(data)));
+
+  const golfServer = createGolfServer({
+    dataPath,
+    dataProvider: createFileProvider({ dataPath }),
+    leagueStore: createFileLeagueStore(`${dataPath}/leagues.json`, `${dataPath}/users.json`, { githubSync: false }),
+    scheduler: false,
+    adminToken,
+  });
+  const port = await golfServer.start(0, '127.0.0.1');
+  const url = `http://127.0.0.1:${port}`;
+  const sockets = [];
+
+  return {
+    url,
+    dataPath,
+    golfServer,
+    // JSON request; returns { status, body, headers }
+    request: async (method, route, { body, token, headers = {} } = {}) => {
+      const res = await fetch(`${url}${route}`, {
+        method,
+        headers: {
+          'content-type': 'application/json',
+          ...(token ? { authorization: `Bearer ${token}` } : {}),
+          ...headers,
+        },
+        body: body === undefined ? undefined : JSON.stringify(body),
+      });
+      const text = await res.text();
+      return { status: res.status, body: text ? JSON.parse(text) : null, headers: res.headers };
+    },
+    connect: async (token) => {
+      const socket = connectSocket(url, { auth: token ? { token } : {}, transports: ['websocket'], reconnection: false });
+      sockets.push(socket);
+      await new Promise((resolve, reject) => {
+        socket.once('connect', resolve);
+        socket.once('connect_error', reject);
+      });
+      return socket;
+    },
+    close: async () => {
+      sockets.forEach(socket => socket.close());
+      await golfServer.stop();
+      fs.rmSync(dataPath, { recursive: true, force: true });
+    },
+  };
+};
+
+// Emits an event and resolves with the first matching reply
+export const emitAndWait = (socket, event, payload, replyEvent, matches = () => true, timeout = 5000) => new Promise((resolve, reject) => {
+  const timer = setTimeout(() => {
+    socket.off(replyEvent, onReply);
+    reject(new Error(`Timed out waiting for ${replyEvent} after ${event}`));
+  }, timeout);
+  const onReply = (data) => {
+    if (!matches(data)) return;
+    clearTimeout(timer);
+    socket.off(replyEvent, onReply);
+    resolve(data);
+  };
+  socket.on(replyEvent, onReply);
+  socket.emit(event, payload);
+});
+
+// Signs up a password-less user and returns their token
+export const createUser = async (server, username) => {
+  const { status, body } = await server.request('POST', '/users', { body: { username } });
+  if (status !== 201) throw new Error(`Could not create user ${username}: ${JSON.stringify(body)}`);
+  return body.token;
+};
+
+// The commissioner's league plus everything needed to claim its teams
+export const createLeague = async (server, token, settings = {}) => {
+  const { status, body } = await server.request('POST', '/leagues', {
+    token,
+    body: { teamNames: ['Aces', 'Birdies', 'Condors'], pickTimeLimit: 0, ...settings },
+  });
+  if (status !== 201) throw new Error(`Could not create league: ${JSON.stringify(body)}`);
+  return body;
+};
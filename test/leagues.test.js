@@ -0,0 +1,161 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { startTestServer, createUser, createLeague } from './helpers.js';
+
+describe('leagues', () => {
+  let server;
+  let aliceToken;
+  let bobToken;
+
+  before(async () => {
+    server = await startTestServer();
+    aliceToken = await createUser(server, 'alice');
+    bobToken = await createUser(server, 'bob');
+  });
+
+  after(() => server.close());
+
+  it('creates a league with the caller as commissioner', async () => {
+    const created = await createLeague(server, aliceToken);
+    assert.ok(created.leagueId);
+    assert.match(created.inviteCode, /^[0-9A-F]{8}$/);
+    assert.ok(created.commissionerToken);
+
+    const { status, body, headers } = await server.request('GET', `/leagues/${created.leagueId}`, { token: aliceToken });
+    assert.equal(status, 200);
+    assert.equal(headers.get('etag'), '"1"');
+    assert.equal(body.commissioner, 'alice');
+    assert.deepEqual(body.members, ['alice']);
+    assert.deepEqual(body.teamNames, ['Aces', 'Birdies', 'Condors']);
+    assert.deepEqual(body.teams, [[], [], []]);
+    assert.equal(body.commissionerToken, undefined);
+    assert.equal(body.inviteCode, undefined);
+  });
+
+  it('rejects a league without team names', async () => {
+    const { status, body } = await server.request('POST', '/leagues', { token: aliceToken, body: {} });
+    assert.equal(status, 400);
+    assert.equal(body.error.code, 'VALIDATION_ERROR');
+    assert.deepEqual(body.error.details, [{ path: 'teamNames', message: 'is required' }]);
+  });
+
+  it('rejects rosters that do not match the teams', async () => {
+    const emptySlot = await server.request('POST', '/leagues', { token: aliceToken, body: { teamNames: ['A', 'B'], teams: [[null], []] } });
+    assert.equal(emptySlot.status, 400);
+    assert.deepEqual(emptySlot.body.error.details, [{ path: 'teams[0][0]', message: 'must be an object' }]);
+
+    const extraTeams = await server.request('POST', '/leagues', { token: aliceToken, body: { teamNames: ['A', 'B'], teams: [[], [], [], []] } });
+    assert.equal(extraTeams.status, 400);
+    assert.equal(extraTeams.body.error.code, 'INVALID_SETTINGS');
+  });
+
+  it('requires an account to create or list leagues', async () => {
+    const created = await server.request('POST', '/leagues', { body: { teamNames: ['A', 'B'] } });
+    assert.equal(created.status, 401);
+    assert.equal(created.body.error.code, 'UNAUTHORIZED');
+    assert.equal((await server.request('GET', '/leagues')).status, 401);
+  });
+
+  it('only shows leagues to their members', async () => {
+    const { leagueId, inviteCode } = await createLeague(server, aliceToken);
+    assert.equal((await server.request('GET', `/leagues/${leagueId}`)).status, 401);
+    assert.equal((await server.request('GET', `/leagues/${leagueId}`, { token: bobToken })).status, 403);
+    assert.ok(!(leagueId in (await server.request('GET', '/leagues', { token: bobToken })).body));
+
+    const joined = await server.request('POST', `/invites/${inviteCode}/join`, { token: bobToken });
+    assert.equal(joined.status, 200);
+    assert.equal((await server.request('GET', `/leagues/${leagueId}`, { token: bobToken })).status, 200);
+    assert.ok(leagueId in (await server.request('GET', '/leagues', { token: bobToken })).body);
+  });
+
+  it('lets only the commissioner change settings, with the current ETag', async () => {
+    const { leagueId, inviteCode } = await createLeague(server, aliceToken);
+    await server.request('POST', `/invites/${inviteCode}/join`, { token: bobToken });
+    const { headers } = await server.request('GET', `/leagues/${leagueId}`, { token: aliceToken });
+    const etag = headers.get('etag');
+
+    const byMember = await server.request('PUT', `/leagues/${leagueId}`, {
+      token: bobToken, headers: { 'if-match': etag }, body: { pickTimeLimit: 30 },
+    });
+    assert.equal(byMember.status, 403);
+
+    const withoutEtag = await server.request('PUT', `/leagues/${leagueId}`, { token: aliceToken, body: { pickTimeLimit: 30 } });
+    assert.equal(withoutEtag.status, 428);
+
+    const updated = await server.request('PUT', `/leagues/${leagueId}`, {
+      token: aliceToken, headers: { 'if-match': etag }, body: { pickTimeLimit: 30 },
+    });
+    assert.equal(updated.status, 200);
+    assert.equal(updated.body.pickTimeLimit, 30);
+    assert.notEqual(updated.headers.get('etag'), etag);
+
+    const stale = await server.request('PUT', `/leagues/${leagueId}`, {
+      token: aliceToken, headers: { 'if-match': etag }, body: { pickTimeLimit: 45 },
+    });
+    assert.equal(stale.status, 409);
+    assert.equal(stale.body.error.code, 'VERSION_CONFLICT');
+  });
+
+  it('resizes empty rosters when the team count changes', async () => {
+    const { leagueId } = await createLeague(server, aliceToken);
+    const { headers } = await server.request('GET', `/leagues/${leagueId}`, { token: aliceToken });
+    const updated = await server.request('PUT', `/leagues/${leagueId}`, {
+      token: aliceToken, headers: { 'if-match': headers.get('etag') }, body: { teamNames: ['A', 'B', 'C', 'D'] },
+    });
+    assert.equal(updated.status, 200);
+    assert.deepEqual(updated.body.teams, [[], [], [], []]);
+    assert.equal((await server.request('GET', `/leagues/${leagueId}/standings`, { token: aliceToken })).status, 200);
+  });
+
+  it('keeps the team count once rosters have players', async () => {
+    const { leagueId } = await createLeague(server, aliceToken, { teams: [[{ id: 1, name: 'Rostered' }], [], []] });
+    const { headers } = await server.request('GET', `/leagues/${leagueId}`, { token: aliceToken });
+    const rejected = await server.request('PUT', `/leagues/${leagueId}`, {
+      token: aliceToken, headers: { 'if-match': headers.get('etag') }, body: { teamNames: ['A', 'B'] },
+    });
+    assert.equal(rejected.status, 400);
+    assert.equal(rejected.body.error.code, 'INVALID_SETTINGS');
+  });
+
+  it('deletes a league for the commissioner only', async () => {
+    const { leagueId, inviteCode } = await createLeague(server, aliceToken);
+    await server.request('POST', `/invites/${inviteCode}/join`, { token: bobToken });
+    assert.equal((await server.request('DELETE', `/leagues/${leagueId}`, { token: bobToken })).status, 403);
+    assert.equal((await server.request('DELETE', `/leagues/${leagueId}`, { token: aliceToken })).status, 204);
+    assert.equal((await server.request('GET', `/leagues/${leagueId}`, { token: aliceToken })).status, 404);
+  });
+
+  it('does not bring a deleted league back from a stale save', async () => {
+    const { leagueId } = await createLeague(server, aliceToken);
+    const { leagueStore } = server.golfServer;
+    const stale = await leagueStore.getLeague(leagueId);
+    assert.equal((await server.request('DELETE', `/leagues/${leagueId}`, { token: aliceToken })).status, 204);
+
+    await assert.rejects(leagueStore.saveLeague(leagueId, stale), { code: 'NOT_FOUND' });
+    assert.equal(await leagueStore.getLeague(leagueId), null);
+  });
+});
+
+describe('accounts named by leagues', () => {
+  let server;
+
+  before(async () => {
+    server = await startTestServer();
+  });
+
+  after(() => server.close());
+
+  it('keeps a lost account\'s username from being claimed by a new sign-up', async () => {
+    const aliceToken = await createUser(server, 'alice');
+    await createLeague(server, aliceToken);
+    // As after a redeploy that restored leagues.json but not users.json
+    fs.writeFileSync(path.join(server.dataPath, 'users.json'), JSON.stringify({ users: {} }));
+
+    const claimed = await server.request('POST', '/users', { body: { username: 'alice' } });
+    assert.equal(claimed.status, 409);
+    assert.equal(claimed.body.error.code, 'USER_EXISTS');
+    assert.equal((await server.request('POST', '/users', { body: { username: 'carol' } })).status, 201);
+  });
+});
@@ -0,0 +1,201 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildRoundRobin, buildHeadToHead } from '../matchups.js';
+import {
+  startTestServer, createUser, createLeague, emitAndWait, readFixture,
+} from './helpers.js';
+
+const TEAM_NAMES = ['Aces', 'Birdies', 'Condors', 'Drivers'];
+
+describe('round-robin schedule', () => {
+  it('pairs every team once per period and meets each opponent once per cycle', () => {
+    const schedule = buildRoundRobin(4, 3);
+    schedule.forEach(pairs => {
+      assert.deepEqual(pairs.flat().sort(), [0, 1, 2, 3]);
+    });
+    const meetings = schedule.flat().map(pair => [...pair].sort().join('-')).sort();
+    assert.deepEqual(meetings, ['0-1', '0-2', '0-3', '1-2', '1-3', '2-3']);
+  });
+
+  it('gives one team a bye each period with an odd team count', () => {
+    const schedule = buildRoundRobin(3, 3);
+    const byes = schedule.map(pairs => pairs.find(pair => pair[1] === null)[0]);
+    assert.deepEqual([...byes].sort(), [0, 1, 2]);
+  });
+});
+
+describe('head-to-head records and playoffs', () => {
+  // Strokes to par per team, lower wins
+  const final = (scores) => ({ label: 'Round', status: 'final', scores });
+
+  it('seeds the playoff from the regular-season records and plays it out', () => {
+    const result = buildHeadToHead({
+      settings: { period: 'round', playoffTeams: 2 },
+      teamNames: TEAM_NAMES,
+      periods: [final([-5, -3, -1, 0]), final([-4, -2, 0, 1]), final([-6, -5, -1, -1]), final([-2, -4, 0, 0])],
+      format: 'strokes',
+    });
+
+    assert.equal(result.regularPeriods, 3);
+    assert.deepEqual(result.records.map(r => [r.teamIndex, r.wins, r.losses, r.ties]), [[0, 3, 0, 0], [1, 2, 1, 0], [2, 0, 2, 1], [3, 0, 2, 1]]);
+    assert.deepEqual(result.playoff.seeds, [0, 1]);
+    assert.equal(result.periods[3].playoff, true);
+    assert.deepEqual(result.periods[3].matchups[0].teams, [0, 1]);
+    assert.equal(result.playoff.champion, 1);
+    assert.equal(result.currentPeriod, null);
+  });
+
+  it('waits for the regular season before seeding', () => {
+    const result = buildHeadToHead({
+      settings: { period: 'round', playoffTeams: 2 },
+      teamNames: TEAM_NAMES,
+      periods: [final([10, 8, 6, 4]), { label: 'Round 2', status: 'live', scores: [1, 2, 3, 4] }, { status: 'upcoming' }, { status: 'upcoming' }],
+      format: 'points',
+    });
+
+    assert.equal(result.currentPeriod, 2);
+    assert.deepEqual(result.playoff.seeds, []);
+    assert.equal(result.playoff.champion, null);
+    assert.deepEqual(result.periods[3].matchups[0].teams, [null, null]);
+    // Live matchups show scores but no result yet
+    assert.ok(result.periods[1].matchups.every(m => m.winner === null && !m.tie && m.scores.every(s => s !== null)));
+  });
+});
+
+describe('head-to-head leagues against the fixture event', () => {
+  let server;
+  let token;
+  let league;
+
+  before(async () => {
+    server = await startTestServer();
+    token = await createUser(server, 'commish');
+    league = await createLeague(server, token, {
+      teamNames: TEAM_NAMES,
+      draftSettings: { type: 'snake', rosterSize: 2 },
+      scoring: { format: 'strokes', countBest: 2 },
+      headToHead: { period: 'round', playoffTeams: 2 },
+    });
+
+    const socket = await server.connect(token);
+    await emitAndWait(socket, 'join-draft', { leagueId: league.leagueId }, 'draft-status');
+    const ownerTokens = [];
+    for (const teamIndex of [0, 1, 2, 3]) {
+      ownerTokens[teamIndex] = (await emitAndWait(socket, 'assign-team', {
+        leagueId: league.leagueId, teamIndex, inviteCode: league.inviteCode,
+      }, 'team-assigned')).ownerToken;
+    }
+    const started = await emitAndWait(socket, 'start-draft', { leagueId: league.leagueId }, 'draft-snapshot');
+    const holesIds = new Set(readFixture('holes.json').players.map(p => p.dg_id));
+    const pool = started.availablePlayers.filter(p => holesIds.has(p.id));
+    for (const teamIndex of [0, 1, 2, 3, 3, 2, 1, 0]) {
+      await emitAndWait(socket, 'draft-pick', {
+        leagueId: league.leagueId, teamIndex, player: pool.shift(), ownerToken: ownerTokens[teamIndex],
+      }, 'draft-delta');
+    }
+  });
+
+  after(() => server.close());
+
+  it('rejects playoff sizes the league cannot support', async () => {
+    const tooBig = await server.request('POST', '/leagues', {
+      token, body: { teamNames: ['A', 'B', 'C'], headToHead: { playoffTeams: 4 } },
+    });
+    assert.equal(tooBig.status, 400);
+    assert.equal(tooBig.body.error.code, 'INVALID_SETTINGS');
+
+    const noSeason = await server.request('POST', '/leagues', {
+      token, body: { teamNames: ['A', 'B'], headToHead: { period: 'event' } },
+    });
+    assert.equal(noSeason.status, 400);
+    assert.match(noSeason.body.error.message, /season/);
+  });
+
+  it('scores round matchups from the fixture rounds', async () => {
+    const { status, body } = await server.request('GET', `/leagues/${league.leagueId}/matchups`, { token });
+    assert.equal(status, 200);
+    assert.equal(body.regularPeriods, 3);
+    assert.deepEqual(body.periods.map(p => p.status), ['final', 'live', 'upcoming', 'upcoming']);
+
+    // Round 1 is over, so every team has a result and the records add up
+    const roundOne = body.periods[0].matchups;
+    assert.ok(roundOne.every(m => m.winner !== null || m.tie));
+    const wins = body.records.reduce((sum, r) => sum + r.wins, 0);
+    const ties = body.records.reduce((sum, r) => sum + r.ties, 0);
+    assert.equal(wins + ties / 2, 2);
+    roundOne.forEach(m => {
+      if (m.tie) return;
+      const loser = m.teams.find(t => t !== m.winner);
+      assert.ok(m.scores[m.teams.indexOf(m.winner)] < m.scores[m.teams.indexOf(loser)]);
+    });
+  });
+
+  it('includes records and the current matchups in the standings', async () => {
+    const { body } = await server.request('GET', `/leagues/${league.leagueId}/standings`, { token });
+    assert.equal(body.headToHead.currentPeriod.period, 2);
+    assert.equal(body.headToHead.records.length, 4);
+    body.teams.forEach(team => {
+      const record = body.headToHead.records.find(r => r.teamIndex === team.teamIndex);
+      assert.deepEqual(team.record, { wins: record.wins, losses: record.losses, ties: record.ties });
+    });
+  });
+
+  it('reports leagues that do not play head-to-head', async () => {
+    const { leagueId } = await createLeague(server, token);
+    const { status, body } = await server.request('GET', `/leagues/${leagueId}/matchups`, { token });
+    assert.equal(status, 400);
+    assert.equal(body.error.code, 'NOT_HEAD_TO_HEAD');
+  });
+});
+
+describe('head-to-head rounds after the cut', () => {
+  let server;
+  let token;
+  let leagueId;
+  let cutIds;
+
+  // Round 3 of the fixture event: the first two players missed the cut, everyone else finished the round over par
+  const afterTheCut = () => {
+    const holes = readFixture('holes.json');
+    const stats = readFixture('live_tournament_stats.json');
+    const players = holes.players.filter(p => stats.live_stats.find(s => s.dg_id === p.dg_id)?.position !== 'WD');
+    cutIds = players.slice(0, 2).map(p => p.dg_id);
+    holes.current_round = 3;
+    holes.players.forEach((p, i) => {
+      p.rounds = p.rounds.filter(r => r.round_num < 3).map(r => ({ ...r, scores: r.scores.map(s => ({ ...s, score: s.score ?? s.par })) }));
+      if (cutIds.includes(p.dg_id)) return;
+      const { scores } = p.rounds[0];
+      p.rounds.push({ round_num: 3, scores: scores.map((s, hole) => ({ ...s, score: s.par + (hole < i % 4 ? 1 : 0) })) });
+    });
+    stats.live_stats.forEach(s => {
+      if (cutIds.includes(s.dg_id)) s.position = 'CUT';
+    });
+    return { holes, stats, players };
+  };
+
+  before(async () => {
+    const { holes, stats, players } = afterTheCut();
+    server = await startTestServer({ files: { 'holes.json': holes, 'live_tournament_stats.json': stats } });
+    token = await createUser(server, 'commish');
+    const rosters = [0, 1, 2, 3].map(t => players.slice(t * 2, t * 2 + 2).map(p => ({ id: p.dg_id, name: p.player_name })));
+    ({ leagueId } = await createLeague(server, token, {
+      teamNames: TEAM_NAMES,
+      teams: rosters,
+      scoring: { format: 'strokes', countBest: 2 },
+      headToHead: { period: 'round', playoffTeams: 2 },
+    }));
+  });
+
+  after(() => server.close());
+
+  it('does not let a team whose players all missed the cut win on an empty card', async () => {
+    const { body } = await server.request('GET', `/leagues/${leagueId}/matchups`, { token });
+    const roundThree = body.periods[2];
+    assert.equal(roundThree.status, 'final');
+    const matchup = roundThree.matchups.find(m => m.teams.includes(0));
+    const cutScore = matchup.scores[matchup.teams.indexOf(0)];
+    // Two open slots at the field's worst round, +3
+    assert.equal(cutScore, 6);
+    assert.notEqual(matchup.winner, 0);
+  });
+});
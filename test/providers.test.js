@@ -0,0 +1,29 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'url';
+import { createFileProvider } from '../providers.js';
+import { readFixture } from './helpers.js';
+
+const FIXTURES_PATH = fileURLToPath(new URL('../data', import.meta.url));
+
+const playedHoles = (round) => round.scores.filter(s => s.score !== null && s.score !== undefined).length;
+
+describe('simulated hole-by-hole updates', () => {
+  it('plays the unplayed holes of the current round before moving on', async () => {
+    const fixture = readFixture('holes.json');
+    const [first] = fixture.players;
+    const remaining = 18 - playedHoles(first.rounds.find(r => r.round_num === fixture.current_round));
+    assert.ok(remaining > 0);
+
+    const provider = createFileProvider({ dataPath: FIXTURES_PATH, simulate: { seed: 1, holesPerUpdate: 1 } });
+    let holesData = await provider.getHoleByHole();
+    assert.equal(holesData.current_round, fixture.current_round);
+
+    for (let i = 1; i < remaining; i++) holesData = await provider.getHoleByHole();
+    const player = holesData.players.find(p => p.dg_id === first.dg_id);
+    const round = player.rounds.find(r => r.round_num === fixture.current_round);
+    assert.equal(holesData.current_round, fixture.current_round);
+    assert.equal(round.scores.length, 18);
+    assert.equal(playedHoles(round), 18);
+  });
+});
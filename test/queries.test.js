@@ -0,0 +1,28 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer } from './helpers.js';
+
+describe('feed queries', () => {
+  let server;
+
+  before(async () => {
+    server = await startTestServer();
+  });
+
+  after(() => server.close());
+
+  it('sorts and pages the live stats', async () => {
+    const { status, body } = await server.request('GET', '/live-stats?sort=position&limit=3');
+    assert.equal(status, 200);
+    assert.equal(body.live_stats.length, 3);
+    assert.equal(body.pagination.limit, 3);
+  });
+
+  it('rejects a repeated parameter instead of failing', async () => {
+    for (const query of ['sort=a&sort=b', 'round=1&round=2', 'limit=1&limit=2', 'offset[x]=1']) {
+      const { status, body } = await server.request('GET', `/live-stats?${query}`);
+      assert.equal(status, 400, query);
+      assert.equal(body.error.code, 'INVALID_QUERY');
+    }
+  });
+});
@@ -0,0 +1,37 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer } from './helpers.js';
+
+describe('replay controls', () => {
+  let server;
+
+  before(async () => {
+    server = await startTestServer({ adminToken: 'admin-secret' });
+  });
+
+  after(() => server.close());
+
+  it('needs the admin token to start or stop a replay', async () => {
+    const missing = await server.request('POST', '/replay', { body: { eventId: 4 } });
+    assert.equal(missing.status, 401);
+    const wrong = await server.request('POST', '/replay', { body: { eventId: 4 }, headers: { 'x-admin-token': 'guess' } });
+    assert.equal(wrong.status, 403);
+    assert.equal((await server.request('DELETE', '/replay')).status, 401);
+
+    // Past the guard, the fixture event simply has no snapshots
+    const allowed = await server.request('POST', '/replay', { body: { eventId: 4 }, headers: { 'x-admin-token': 'admin-secret' } });
+    assert.equal(allowed.status, 404);
+    const stopped = await server.request('DELETE', '/replay', { headers: { 'x-admin-token': 'admin-secret' } });
+    assert.equal(stopped.status, 200);
+  });
+
+  it('stays off without an admin token configured', async () => {
+    const unconfigured = await startTestServer();
+    try {
+      const { status } = await unconfigured.request('POST', '/replay', { body: { eventId: 4 }, headers: { 'x-admin-token': 'anything' } });
+      assert.equal(status, 403);
+    } finally {
+      await unconfigured.close();
+    }
+  });
+});
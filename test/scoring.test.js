@@ -0,0 +1,131 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  startTestServer, createUser, createLeague, emitAndWait, readFixture,
+} from './helpers.js';
+
+const HOLE_POINTS = { '-2': 5, '-1': 3, 0: 0.5, 1: -1, 2: -3 };
+
+// Expected numbers worked out straight from the fixture holes, independent of the server's scoring code
+const fixtureTotals = (holesPlayer) => {
+  const scores = holesPlayer.rounds.flatMap(r => r.scores).filter(s => s.score != null);
+  const toPar = scores.reduce((sum, s) => sum + s.score - s.par, 0);
+  const points = scores.reduce((sum, s) => {
+    const diff = s.score - s.par;
+    if (diff <= -3) return sum + 8;
+    if (diff >= 3) return sum - 3;
+    return sum + HOLE_POINTS[diff];
+  }, 0);
+  return { toPar, points };
+};
+
+describe('scoring against the fixture event', () => {
+  let server;
+  let token;
+  let league;
+  let holesById;
+  let rosters;
+
+  before(async () => {
+    server = await startTestServer();
+    token = await createUser(server, 'commish');
+    league = await createLeague(server, token, {
+      teamNames: ['Aces', 'Birdies'],
+      draftSettings: { type: 'snake', rosterSize: 3 },
+      scoring: { format: 'strokes', countBest: 2 },
+    });
+
+    const socket = await server.connect(token);
+    await emitAndWait(socket, 'join-draft', { leagueId: league.leagueId }, 'draft-status');
+    const ownerTokens = [];
+    for (const teamIndex of [0, 1]) {
+      ownerTokens[teamIndex] = (await emitAndWait(socket, 'assign-team', {
+        leagueId: league.leagueId, teamIndex, inviteCode: league.inviteCode,
+      }, 'team-assigned')).ownerToken;
+    }
+
+    const started = await emitAndWait(socket, 'start-draft', { leagueId: league.leagueId }, 'draft-snapshot');
+    holesById = new Map(readFixture('holes.json').players.map(p => [p.dg_id, p]));
+    const pool = started.availablePlayers.filter(p => holesById.has(p.id));
+    rosters = [[], []];
+    for (const teamIndex of [0, 1, 1, 0, 0, 1]) {
+      const player = pool.shift();
+      await emitAndWait(socket, 'draft-pick', {
+        leagueId: league.leagueId, teamIndex, player, ownerToken: ownerTokens[teamIndex],
+      }, 'draft-delta');
+      rosters[teamIndex].push(player);
+    }
+  });
+
+  after(() => server.close());
+
+  const getStandings = async () => {
+    const { status, body } = await server.request('GET', `/leagues/${league.leagueId}/standings`, { token });
+    assert.equal(status, 200);
+    return body;
+  };
+
+  const setScoring = async (scoring) => {
+    const { headers } = await server.request('GET', `/leagues/${league.leagueId}`, { token });
+    const { status } = await server.request('PUT', `/leagues/${league.leagueId}`, {
+      token, headers: { 'if-match': headers.get('etag') }, body: { scoring },
+    });
+    assert.equal(status, 200);
+  };
+
+  it('totals strokes to par from holes.json and counts the best two', async () => {
+    const standings = await getStandings();
+    assert.equal(standings.eventName, 'Farmers Insurance Open');
+    assert.equal(standings.currentRound, 2);
+
+    rosters.forEach((roster, teamIndex) => {
+      const team = standings.teams.find(t => t.teamIndex === teamIndex);
+      const expected = roster.map(p => fixtureTotals(holesById.get(p.id)).toPar).sort((a, b) => a - b);
+      assert.deepEqual(team.players.map(p => p.points), expected);
+      assert.deepEqual(team.players.map(p => p.counted), [true, true, false]);
+      assert.equal(team.points, expected[0] + expected[1]);
+    });
+
+    // Lower is better in strokes leagues
+    const [first, second] = standings.teams;
+    assert.ok(first.points <= second.points);
+    assert.equal(first.rank, 1);
+  });
+
+  it('scores the hole points table in points leagues', async () => {
+    await setScoring({ format: 'points', countBest: null });
+    const standings = await getStandings();
+
+    rosters.forEach((roster, teamIndex) => {
+      const team = standings.teams.find(t => t.teamIndex === teamIndex);
+      const expected = roster.reduce((sum, p) => sum + fixtureTotals(holesById.get(p.id)).points, 0);
+      assert.equal(team.points, expected);
+      assert.ok(team.players.every(p => p.counted));
+    });
+
+    // Higher is better in points leagues
+    const [first, second] = standings.teams;
+    assert.ok(first.points >= second.points);
+  });
+
+  it('rejects scoring settings it cannot score', async () => {
+    const { headers } = await server.request('GET', `/leagues/${league.leagueId}`, { token });
+    const { status, body } = await server.request('PUT', `/leagues/${league.leagueId}`, {
+      token,
+      headers: { 'if-match': headers.get('etag') },
+      body: { scoring: { format: 'pointz', countBest: -1, holePoints: { birdie: '3' } } },
+    });
+    assert.equal(status, 400);
+    assert.equal(body.error.code, 'VALIDATION_ERROR');
+    assert.deepEqual(body.error.details.map(d => d.path), ['scoring.format', 'scoring.countBest', 'scoring.holePoints.birdie']);
+  });
+
+  it('reports each player position and thru from the live stats fixture', async () => {
+    const statsById = new Map(readFixture('live_tournament_stats.json').live_stats.map(s => [s.dg_id, s]));
+    const standings = await getStandings();
+    standings.teams.flatMap(t => t.players).forEach(player => {
+      assert.equal(player.position, statsById.get(player.id)?.position ?? null);
+      assert.equal(player.thru, statsById.get(player.id)?.thru ?? null);
+    });
+  });
+});
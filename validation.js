@@ -0,0 +1,219 @@
+import { CONTEST_TYPES } from './contests.js';
+
+// Request schemas and the error shape shared by REST responses and socket events
+// Schemas are a small JSON Schema subset: type, properties, required, additionalProperties, items,
+// enum, minimum, maximum, minLength, maxLength, minItems, maxItems, pattern and nullable
+
+// Every error is { code, message, details }; details lists { path, message } for validation errors
+export const apiError = (code, message, details = null) => ({ code, message, details });
+
+const STATUS_CODES = {
+  400: 'BAD_REQUEST',
+  401: 'UNAUTHORIZED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  428: 'PRECONDITION_REQUIRED',
+  429: 'RATE_LIMITED',
+  500: 'INTERNAL_ERROR',
+};
+
+export const errorCodeForStatus = (status) => STATUS_CODES[status] || (status >= 500 ? 'INTERNAL_ERROR' : 'BAD_REQUEST');
+
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+};
+
+const matchesType = (value, type) => {
+  const actual = typeOf(value);
+  if (type === 'number') return actual === 'number' || actual === 'integer';
+  if (type === 'id') return actual === 'integer' || (actual === 'string' && /^\d+$/.test(value));
+  return actual === type;
+};
+
+const describeType = (type) => (type === 'id' ? 'an id' : `${/^[aeiou]/.test(type) ? 'an' : 'a'} ${type}`);
+
+const joinPath = (path, key) => (typeof key === 'number' ? `${path}[${key}]` : path ? `${path}.${key}` : key);
+
+// Returns the list of problems, empty when the value fits; root names the value itself ('body', 'payload')
+export const validate = (schema, value, root = 'body', path = '') => {
+  const at = path || root;
+  if (value === null && schema.nullable) return [];
+  const types = [].concat(schema.type || []);
+  if (types.length > 0 && !types.some(type => matchesType(value, type))) {
+    return [{ path: at, message: `must be ${types.map(describeType).join(' or ')}` }];
+  }
+  if (schema.enum && !schema.enum.includes(value)) return [{ path: at, message: `must be one of ${schema.enum.join(', ')}` }];
+
+  const details = [];
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) details.push({ path: at, message: `must be at least ${schema.minimum}` });
+    if (schema.maximum !== undefined && value > schema.maximum) details.push({ path: at, message: `must be at most ${schema.maximum}` });
+  }
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+      details.push({ path: at, message: schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) details.push({ path: at, message: `must be at most ${schema.maxLength} characters` });
+    if (schema.pattern && !schema.pattern.test(value)) details.push({ path: at, message: 'has an invalid format' });
+  }
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) details.push({ path: at, message: `must have at least ${schema.minItems} items` });
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) details.push({ path: at, message: `must have at most ${schema.maxItems} items` });
+    if (schema.items) value.forEach((item, i) => details.push(...validate(schema.items, item, root, joinPath(path, i))));
+  }
+  if (typeOf(value) === 'object' && (schema.properties || schema.required)) {
+    const properties = schema.properties || {};
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) details.push({ path: joinPath(path, key), message: 'is required' });
+    });
+    Object.keys(value).forEach(key => {
+      if (properties[key]) {
+        if (value[key] !== undefined) details.push(...validate(properties[key], value[key], root, joinPath(path, key)));
+      } else if (schema.additionalProperties === false) {
+        details.push({ path: joinPath(path, key), message: 'is not an allowed field' });
+      }
+    });
+  }
+  return details;
+};
+
+// Shared pieces
+const id = { type: 'id' };
+const teamIndex = { type: 'integer', minimum: 0 };
+const token = { type: 'string', minLength: 1, maxLength: 200 };
+const idList = { type: 'array', items: id, maxItems: 500 };
+const teamNames = { type: 'array', items: { type: 'string', minLength: 1, maxLength: 60 }, minItems: 2, maxItems: 32 };
+const rosterPlayer = { type: 'object', properties: { id, name: { type: 'string' } }, required: ['id'] };
+
+const holePoints = Object.fromEntries(['albatross', 'eagle', 'birdie', 'par', 'bogey', 'doubleBogey', 'worse']
+  .map(key => [key, { type: 'number' }]));
+
+// countBest null counts every rostered player
+const scoring = {
+  type: 'object',
+  properties: {
+    format: { type: 'string', enum: ['strokes', 'points'] },
+    countBest: { type: 'integer', minimum: 1, nullable: true },
+    holePoints: { type: 'object', properties: holePoints, additionalProperties: false },
+    missedCutPenalty: { type: 'number' },
+  },
+  additionalProperties: false,
+};
+
+const leagueSettings = {
+  teamNames,
+  pickTimeLimit: { type: 'integer', minimum: 0 },
+  draftSettings: { type: 'object' },
+  mode: { type: 'string' },
+  salaryCap: { type: 'object' },
+  season: { type: 'object', nullable: true },
+  headToHead: { type: 'object', nullable: true },
+  scoring,
+};
+
+// REST request bodies
+export const bodySchemas = {
+  createUser: {
+    type: 'object',
+    properties: { username: { type: 'string', minLength: 1, maxLength: 64 }, password: { type: 'string', maxLength: 200 } },
+    required: ['username'],
+    additionalProperties: false,
+  },
+  createSession: {
+    type: 'object',
+    properties: { username: { type: 'string', minLength: 1, maxLength: 64 }, password: { type: 'string', maxLength: 200 } },
+    required: ['username', 'password'],
+    additionalProperties: false,
+  },
+  createLeague: {
+    type: 'object',
+    properties: { ...leagueSettings, teams: { type: 'array', items: { type: 'array', items: rosterPlayer }, maxItems: 32 } },
+    required: ['teamNames'],
+    additionalProperties: false,
+  },
+  updateLeague: {
+    type: 'object',
+    properties: leagueSettings,
+    additionalProperties: false,
+  },
+  setQueue: {
+    type: 'object',
+    properties: { queue: idList },
+    required: ['queue'],
+    additionalProperties: false,
+  },
+  trade: {
+    type: 'object',
+    properties: { teamA: teamIndex, teamB: teamIndex, playersA: idList, playersB: idList },
+    required: ['teamA', 'teamB'],
+    additionalProperties: false,
+  },
+  addDrop: {
+    type: 'object',
+    properties: { teamIndex, addPlayerId: id, dropPlayerId: id },
+    required: ['teamIndex'],
+    additionalProperties: false,
+  },
+  setLineup: {
+    type: 'object',
+    properties: { playerIds: idList },
+    required: ['playerIds'],
+    additionalProperties: false,
+  },
+  startReplay: {
+    type: 'object',
+    properties: { eventId: id, at: { type: 'string', minLength: 1 } },
+    required: ['eventId'],
+    additionalProperties: false,
+  },
+  createContest: {
+    type: 'object',
+    properties: {
+      name: { type: 'string', minLength: 1, maxLength: 100 },
+      type: { type: 'string', enum: CONTEST_TYPES },
+      settings: {
+        type: 'object',
+        properties: { picks: { type: 'integer', minimum: 1, maximum: 10 }, topN: { type: 'integer', minimum: 1, maximum: 100 } },
+        additionalProperties: false,
+      },
+    },
+    required: ['name', 'type'],
+    additionalProperties: false,
+  },
+  submitPicks: {
+    type: 'object',
+    properties: { players: { ...idList, minItems: 1, maxItems: 10 }, round: { type: 'integer', minimum: 1, maximum: 4 } },
+    required: ['players'],
+    additionalProperties: false,
+  },
+};
+
+// Socket event payloads; unknown fields are ignored so older clients keep working
+const leagueEvent = (properties = {}, required = []) => ({
+  type: 'object',
+  properties: { leagueId: id, ...properties },
+  required: ['leagueId', ...required],
+});
+
+const ownerEvent = (properties = {}, required = []) => leagueEvent({ teamIndex, ownerToken: token, ...properties }, ['teamIndex', ...required]);
+
+export const socketSchemas = {
+  'join-draft': leagueEvent({ ownerToken: token, commissionerToken: token, inviteCode: token }),
+  'assign-team': leagueEvent({ teamIndex, inviteCode: token, ownerToken: token }, ['teamIndex']),
+  'get-queue': ownerEvent(),
+  'set-queue': ownerEvent({ queue: idList }, ['queue']),
+  'reorder-queue': ownerEvent({ fromIndex: { type: 'integer', minimum: 0 }, toIndex: { type: 'integer', minimum: 0 } }, ['fromIndex', 'toIndex']),
+  'clear-queue': ownerEvent(),
+  'start-draft': leagueEvent({ commissionerToken: token }),
+  'draft-pick': ownerEvent({
+    player: { type: 'object', properties: { id, name: { type: 'string' } }, required: ['id'] },
+  }, ['player']),
+  'nominate-player': ownerEvent({ playerId: id, openingBid: { type: 'integer', minimum: 0 } }, ['playerId']),
+  'place-bid': ownerEvent({ amount: { type: 'integer', minimum: 0 } }, ['amount']),
+  'undo-pick': leagueEvent({ commissionerToken: token }),
+  resync: leagueEvent({ seq: { type: 'integer', minimum: 0 } }),
+};